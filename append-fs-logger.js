@@ -6,11 +6,20 @@ const path = require('path')
 const assert = require('assert')
 const stream = require('stream')
 const os = require('os')
+const zlib = require('zlib')
 
 const { wrapf, WError } = require('./error.js')
 const { resultify } = require('./resultify.js')
+const { LEVELS, isLevel } = require('./levels.js')
+const Redactor = require('./redact.js')
+const SafeJSON = require('./safe-json.js')
+const { shrinkFields } = require('./truncate-fields.js')
+const { createFormatter } = require('./formats.js')
+const { createTimeFormatter, timeToMs } = require('./time-format.js')
+const LockFile = require('./lock-file.js')
+const LineIndex = require('./line-index.js')
+const Histogram = require('./histogram.js')
 
-const readFile = resultify(fs.readFile)
 const pipeline = resultify(stream.pipeline)
 const unlink = resultify(fs.unlink)
 const open = resultify(fs.open)
@@ -18,11 +27,22 @@ const mkdir = resultify(fs.mkdir)
 const rename = resultify(fs.rename)
 const close = resultify(fs.close)
 const write = resultify(fs.write)
+const stat = resultify(fs.stat)
+const fstat = resultify(fs.fstat)
+const read = resultify(fs.read)
 
 const MAX_LOG_FILE_SIZE = 32 * 1024 * 1024
 const MAX_LOG_LINE_SIZE = 32 * 1024
 const MAX_LOG_LINES = 4096
+const TRUNCATE_FRACTION = 0.25
+const MAX_ROTATED_FILES = 4
+const INFLIGHT_WAIT_MS = 50
+const SCAN_CHUNK_SIZE = 64 * 1024
 const EMPTY_OBJECT = {}
+const FILE_CHECK_INTERVAL = 1000
+const RECOVERY_MIN_MS = 100
+const RECOVERY_MAX_MS = 30 * 1000
+const FLUSH_LATENCY_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000]
 
 const hostname = os.hostname()
 
@@ -34,15 +54,19 @@ class LogLine {
    * @param {object} info
    * @param {number} time
    * @param {string} [truncated]
+   * @param {number} [seq]
+   * @param {string | number} [formattedTime] `time` as per
+   *    options.timeFormat, an ISO string if not given.
    */
-  constructor (name, level, msg, info, time, truncated) {
+  constructor (name, level, msg, info, time, truncated, seq, formattedTime) {
     this.name = name
     this.hostname = hostname
     this.pid = process.pid
     this.level = level
     this.msg = msg
-    /** @Raynos TODO: millisecond or string ? */
-    this.time = new Date(time).toISOString()
+    this.time = formattedTime === undefined
+      ? new Date(time).toISOString() : formattedTime
+    this.seq = seq
     this.v = 1
 
     this.fields = info
@@ -68,22 +92,152 @@ class OpenFailError extends WError {
   }
 }
 
+/**
+ * @typedef {{
+ *    fileName: string,
+ *    onError?: (err: Error) => void,
+ *    maxFileSize?: number,
+ *    maxLineSize?: number,
+ *    maxLines?: number,
+ *    truncateFraction?: number,
+ *    retention?: 'truncate' | 'rotate',
+ *    maxFiles?: number,
+ *    maxTotalSize?: number,
+ *    redact?: import('./redact.js').RedactOptions,
+ *    shared?: boolean,
+ *    compress?: boolean,
+ *    maxArchiveSize?: number,
+ *    dedupeWindow?: number,
+ *    maxQueuedLines?: number,
+ *    maxQueuedBytes?: number,
+ *    queuePolicy?: 'drop-oldest' | 'drop-newest' | 'block',
+ *    maxFieldDepth?: number,
+ *    maxArrayLength?: number,
+ *    formatter?: import('./formats.js').Format,
+ *    timeFormat?: import('./time-format.js').TimeFormat,
+ *    seq?: boolean
+ * }} FSLoggerOptions
+ */
+
 class AppendOnlyFSLogger {
   /**
    * @param {string} productName
-   * @param {{
-   *    fileName: string,
-   *    onError?: (err: Error) => void
-   * }} options
+   * @param {FSLoggerOptions} options
    */
   constructor (productName, options) {
     assert(options.fileName, 'options.fileName required')
+    assertLimit(options.maxFileSize, 'options.maxFileSize')
+    assertLimit(options.maxLineSize, 'options.maxLineSize')
+    assertLimit(options.maxLines, 'options.maxLines')
+    assertLimit(options.maxFiles, 'options.maxFiles')
+    assertLimit(options.maxTotalSize, 'options.maxTotalSize')
+    assertLimit(options.maxArchiveSize, 'options.maxArchiveSize')
+    assertLimit(options.maxFieldDepth, 'options.maxFieldDepth')
+    assertLimit(options.maxArrayLength, 'options.maxArrayLength')
+    assertLimit(options.dedupeWindow, 'options.dedupeWindow')
+    assertLimit(options.maxQueuedLines, 'options.maxQueuedLines')
+    assertLimit(options.maxQueuedBytes, 'options.maxQueuedBytes')
+    assert(!options.queuePolicy || options.queuePolicy === 'drop-oldest' ||
+      options.queuePolicy === 'drop-newest' ||
+      options.queuePolicy === 'block',
+    'options.queuePolicy must be "drop-oldest", "drop-newest" or "block"')
+    assert(!options.retention || options.retention === 'truncate' ||
+      options.retention === 'rotate',
+    'options.retention must be "truncate" or "rotate"')
+    assert(options.truncateFraction === undefined || (
+      typeof options.truncateFraction === 'number' &&
+      options.truncateFraction > 0 && options.truncateFraction < 1
+    ), 'options.truncateFraction must be a number between 0 and 1')
 
     this.logFileLocation = options.fileName
     this.productName = productName
-    this.onError = options.onError || warnOnError
+    const onError = options.onError || warnOnError
+    /** Remembers the last error for getStats(). */
+    this.onError = (/** @type {Error} */ err) => {
+      this.stats.lastError = err
+      this.stats.lastErrorTime = Date.now()
+      onError(err)
+    }
+
+    // Limits after which the file or a single line gets truncated.
+    this.maxFileSize = options.maxFileSize || MAX_LOG_FILE_SIZE
+    this.maxLineSize = options.maxLineSize || MAX_LOG_LINE_SIZE
+    this.maxLines = options.maxLines || MAX_LOG_LINES
+    // Fraction of the file dropped from the start on truncation.
+    this.truncateFraction = options.truncateFraction || TRUNCATE_FRACTION
+
+    assert(this.maxLineSize > 3,
+      'options.maxLineSize must be larger than 3')
+    assert(this.maxLineSize <= this.maxFileSize,
+      'options.maxLineSize must not exceed options.maxFileSize')
+
+    // Either truncate the file in place or rotate to sibling files.
+    this.retention = options.retention || 'truncate'
+    // Number of rotated files, e.g. `logs.1.ndjson`, to keep around.
+    this.maxFiles = options.maxFiles || MAX_ROTATED_FILES
+    // Byte budget for the log file and all rotated files together.
+    this.maxTotalSize = options.maxTotalSize ||
+      this.maxFileSize * (this.maxFiles + 1)
+
+    assert(this.maxTotalSize >= this.maxFileSize,
+      'options.maxTotalSize must not be smaller than options.maxFileSize')
+
+    // Compress truncated lines or rotated files into `.gz` archives.
+    this.compress = !!options.compress
+    // Byte budget for all `.gz` archives together.
+    this.maxArchiveSize = options.maxArchiveSize || this.maxFileSize
+
+    // Makes cycles, BigInts, Maps and the like serializable.
+    this.safeJSON = new SafeJSON({
+      maxDepth: options.maxFieldDepth,
+      maxArrayLength: options.maxArrayLength
+    })
+    // Removes sensitive fields and values before they hit disk.
+    this.redactor = options.redact ? new Redactor(options.redact) : null
+    // Turns a logline into a line of the file, ndjson by default.
+    this.format = createFormatter(options.formatter)
+    // Turns the timestamp of a logline into its `time`.
+    this.formatTime = createTimeFormatter(options.timeFormat)
+    // Numbers loglines in the order they were logged, if enabled.
+    this.seq = options.seq ? 0 : null
+
+    // Other processes or loggers append to and truncate this file too.
+    this.shared = !!options.shared
+    this.lock = this.shared
+      ? new LockFile(this.logFileLocation + '.lock') : null
+
+    // Collapse identical loglines logged within this many ms.
+    this.dedupeWindow = options.dedupeWindow || 0
+    // The last logline written and its repeats held back since.
+    /**
+     * @type {{
+     *    key: string, firstMs: number, repeat: number,
+     *    first: LogLine | null, last: LogLine | null
+     * } | null}
+     */
+    this.lastLine = null
+    // Writes the held back repeats once `dedupeWindow` is over.
+    /** @type {NodeJS.Timeout | null} */
+    this.dedupeTimer = null
 
     this.fd = null
+    // Inode of the open file, to notice it being replaced.
+    /** @type {number | null} */
+    this.ino = null
+    // Set by close() and destroy(), the file must stay closed then.
+    this.isClosed = false
+    // When to check next that the file was not removed or replaced.
+    this.nextFileCheck = 0
+    // Re-opening the file after losing it, see _recover().
+    /**
+     * @type {{
+     *    reason: string, since: number,
+     *    attempts: number, nextAttempt: number
+     * } | null}
+     */
+    this.recovery = null
+    /** @type {NodeJS.Timeout | null} */
+    this.recoveryTimer = null
 
     // Number of lines in the file.
     this.lines = 0
@@ -94,22 +248,61 @@ class AppendOnlyFSLogger {
     // Internal fs.write() counter for testing
     this._writeCalled = 0
     // Tracking where all the new lines are in the file.
-    /** @type {number[]} */
-    this.newLineOffsets = []
+    this.newLineOffsets = new LineIndex()
+    // Counters about the health of the logger, see getStats().
+    this.stats = {
+      /** @type {Record<string, number>} */
+      linesByLevel: {},
+      truncatedLines: 0,
+      droppedLines: 0,
+      truncations: 0,
+      truncateMs: 0,
+      lastTruncateMs: 0,
+      rotations: 0,
+      flushLatency: new Histogram(FLUSH_LATENCY_BUCKETS),
+      /** @type {Error | null} */
+      lastError: null,
+      /** @type {number | null} */
+      lastErrorTime: null
+    }
 
     // The current pending flush task
     this.pendingFlush = null
     // Pending loglines to be written
     /** @type {string[]} */
     this.pendingWrites = []
+    // Bytes of the pending loglines, including their new lines.
+    this.pendingBytes = 0
+
+    // Limits on the pending loglines while the disk is slow.
+    this.maxQueuedLines = options.maxQueuedLines || Infinity
+    this.maxQueuedBytes = options.maxQueuedBytes || Infinity
+    // What to do with loglines once the limits are reached.
+    this.queuePolicy = options.queuePolicy || 'drop-oldest'
+    // Loglines dropped since the last 'dropped log lines' warning.
+    this.droppedLines = 0
+    // Loglines waiting for room in the queue with 'block'.
+    /** @type {{ str: string, resolve: (r: Promise<unknown>) => void }[]} */
+    this.blockedWrites = []
+    // The buffer of the fs.write() that has not called back yet
+    /** @type {{ buf: Buffer, lines: number } | null} */
+    this.inflightWrite = null
 
     this.hasOpened = false
+    // Duration of the last successful open(), see getOpenTiming().
+    /**
+     * @type {{
+     *    totalMs: number, scanMs: number, bytesScanned: number
+     * } | null}
+     */
+    this.openTiming = null
   }
 
   async open () {
     if (this.fd) {
       return { err: new Error('Cannot open twice()') }
     }
+    const openStart = process.hrtime()
 
     const dirname = path.dirname(this.logFileLocation)
     const { err: mkdirErr } = await mkdir(dirname, {
@@ -126,9 +319,13 @@ class AppendOnlyFSLogger {
       return { err: err }
     }
 
-    const { err: readErr, data: buf } =
-      await readFile(this.logFileLocation)
-    if (readErr && readErr.code !== 'ENOENT') {
+    /**
+     * We want to keep track of the size of the file and
+     * the number of lines that it contains.
+     */
+    const scanStart = process.hrtime()
+    const { err: readErr } = await this._scanOldFile()
+    if (readErr) {
       const err = OpenFailError.wrap(
         'Could not read old file', readErr, {
           fileName: this.logFileLocation,
@@ -138,25 +335,7 @@ class AppendOnlyFSLogger {
 
       return { err: err }
     }
-
-    /**
-     * We want to keep track of the size of the file and
-     * the number of lines that it contains.
-     */
-    if (Buffer.isBuffer(buf)) {
-      this.size = buf.length
-
-      this.newLineOffsets.length = 0
-
-      const newLineByte = '\n'.charCodeAt(0)
-      for (let i = 0; i < buf.length; i++) {
-        if (buf[i] === newLineByte) {
-          this.newLineOffsets.push(i)
-        }
-      }
-
-      this.lines = this.newLineOffsets.length
-    }
+    const scanMs = elapsedMs(scanStart)
 
     const { err: openErr, data: fd } =
       await open(this.logFileLocation, 'a+')
@@ -175,36 +354,125 @@ class AppendOnlyFSLogger {
     }
 
     this.hasOpened = true
+    this.isClosed = false
     this.fd = fd
+
+    const { err: inoErr } = await this._readIno()
+    if (inoErr) return { err: inoErr }
+
+    /**
+     * In shared mode someone may have written between reading
+     * the old file and opening it, so catch up on that too.
+     */
+    if (this.shared) {
+      const { err: syncErr } = await this._sync()
+      if (syncErr) return { err: syncErr }
+    }
+
+    this.openTiming = {
+      totalMs: elapsedMs(openStart),
+      scanMs: scanMs,
+      bytesScanned: this.size
+    }
+    return {}
+  }
+
+  /**
+   * Scans the existing log file in chunks instead of reading all
+   * of it into memory. A missing file is not an error.
+   *
+   * @returns {Promise<{ err?: NodeJS.ErrnoException }>}
+   */
+  async _scanOldFile () {
+    const { err: openErr, data: fd } =
+      await open(this.logFileLocation, 'r')
+    if (openErr) {
+      return openErr.code === 'ENOENT' ? {} : { err: openErr }
+    }
+
+    this.lines = 0
+    this.size = 0
+    this.newLineOffsets.clear()
+
+    const { err: readErr } = await this._scanFd(fd, Infinity)
+    const { err: closeErr } = await close(fd)
+    if (readErr) return { err: readErr }
+    if (closeErr) return { err: closeErr }
     return {}
   }
 
   /**
+   * How long open() took, to measure the cost on startup.
+   */
+  getOpenTiming () {
+    return this.openTiming
+  }
+
+  /**
+   * Builds the logline for `_write()`, with fields that always
+   * serialize and sensitive information already redacted.
+   *
    * @param {string} level
    * @param {string} msg
    * @param {object} info
    * @param {number} time
    */
-  _write (level, msg, info, time) {
+  createLogLine (level, msg, info, time) {
+    if (info) {
+      info = this.safeJSON.sanitize(info)
+    }
+    if (this.redactor && info) {
+      info = this.redactor.redact(info)
+    }
+
+    if (this.seq !== null) {
+      this.seq++
+    }
+
+    return new LogLine(
+      this.productName, level, msg, info || EMPTY_OBJECT, time, undefined,
+      this.seq === null ? undefined : this.seq, this.formatTime(time)
+    )
+  }
+
+  /**
+   * @param {LogLine} logLine
+   */
+  _write (logLine) {
     /**
      * TODO: @Raynos what is the performance impact of try/catch
      */
     try {
-      let str = JSON.stringify(new LogLine(
-        this.productName, level, msg, info || EMPTY_OBJECT, time
-      ))
-
-      if (str.length > MAX_LOG_LINE_SIZE) {
-        const truncLevel = level === 'info' ? 'warn' : level
+      if (this.dedupeWindow) {
+        if (this._dedupe(logLine)) {
+          this._countLevel(logLine.level)
+          return this.flush()
+        }
+        this._enqueueRepeated()
+
+        this.lastLine = {
+          key: dedupeKey(logLine),
+          firstMs: timeToMs(logLine.time),
+          repeat: 0,
+          first: null,
+          last: null
+        }
+      }
 
-        str = JSON.stringify(new LogLine(
-          this.productName, truncLevel, msg, {
-            isTruncated: true
-          }, time, str.slice(0, MAX_LOG_LINE_SIZE - 3) + '...'
-        ))
+      const str = this._serialize(logLine)
+      if (this.queuePolicy === 'block' && (
+        this.blockedWrites.length > 0 || this._isFull(queuedBytes(str))
+      )) {
+        this._countLevel(logLine.level)
+        return this._block(str)
+      }
+      if (!this._makeRoom(queuedBytes(str))) {
+        this.lastLine = null
+        return this.flush()
       }
 
-      this.pendingWrites.push(str)
+      this._enqueue(str)
+      this._countLevel(logLine.level)
       return this.flush()
     } catch (unexpectedError) {
       const err = wrapf(
@@ -220,25 +488,477 @@ class AppendOnlyFSLogger {
     }
   }
 
+  /**
+   * Like syslog's "last message repeated N times"; a logline with
+   * the same level, msg and fields as the last one written, less
+   * than `dedupeWindow` ms after it, is held back and only counted.
+   *
+   * Returns false if the logline must be written on its own.
+   *
+   * @param {LogLine} logLine
+   */
+  _dedupe (logLine) {
+    const last = this.lastLine
+    if (!last ||
+      timeToMs(logLine.time) - last.firstMs > this.dedupeWindow ||
+      dedupeKey(logLine) !== last.key
+    ) {
+      return false
+    }
+
+    last.repeat++
+    last.first = last.first || logLine
+    last.last = logLine
+
+    if (this.dedupeTimer === null) {
+      const delay = last.firstMs + this.dedupeWindow - Date.now()
+      this.dedupeTimer = setTimeout(() => {
+        this.dedupeTimer = null
+        this._enqueueRepeated()
+        this.lastLine = null
+        this.flush()
+      }, Math.max(0, delay))
+      this.dedupeTimer.unref()
+    }
+    return true
+  }
+
+  /**
+   * Queues one line for the repeats held back by `_dedupe()`, a
+   * copy of the last repeat with `repeat`, `firstTime` and
+   * `lastTime`. Like the dropped lines warning it is not subject
+   * to the queue limits, but it stays behind blocked loglines.
+   */
+  _enqueueRepeated () {
+    this._cancelDedupe()
+
+    const last = this.lastLine
+    if (!last || !last.first || !last.last) {
+      return
+    }
+
+    const str = this._serialize({
+      ...last.last,
+      repeat: last.repeat,
+      firstTime: last.first.time,
+      lastTime: last.last.time
+    })
+    last.repeat = 0
+    last.first = null
+    last.last = null
+
+    if (this.blockedWrites.length > 0) {
+      this.blockedWrites.push({ str: str, resolve: () => {} })
+    } else {
+      this._enqueue(str)
+    }
+  }
+
+  _cancelDedupe () {
+    if (this.dedupeTimer !== null) {
+      clearTimeout(this.dedupeTimer)
+      this.dedupeTimer = null
+    }
+  }
+
+  /**
+   * Whether queueing another `bytes` would exceed `maxQueuedLines`
+   * or `maxQueuedBytes`.
+   *
+   * @param {number} bytes
+   */
+  _isFull (bytes) {
+    return this.pendingWrites.length + 1 > this.maxQueuedLines ||
+      this.pendingBytes + bytes > this.maxQueuedBytes
+  }
+
+  /**
+   * Applies the 'drop-oldest' or 'drop-newest' `queuePolicy` when
+   * the queue is full, see `_block()` for 'block'.
+   *
+   * Returns false if the new logline must be dropped.
+   *
+   * @param {number} bytes
+   */
+  _makeRoom (bytes) {
+    const isFull = () => this._isFull(bytes)
+
+    if (!isFull()) {
+      return true
+    }
+
+    if (this.queuePolicy === 'drop-oldest') {
+      /** Never drop the new line that repairs a partial write. */
+      const start = this.pendingWrites[0] === '\n' ? 1 : 0
+      while (this.pendingWrites.length > start && isFull()) {
+        const str = this.pendingWrites.splice(start, 1)[0]
+        this.pendingBytes -= queuedBytes(str)
+        this.droppedLines++
+        this.stats.droppedLines++
+      }
+
+      if (!isFull()) {
+        return true
+      }
+    }
+
+    this.droppedLines++
+    this.stats.droppedLines++
+    return false
+  }
+
+  /**
+   * With the 'block' `queuePolicy` a logline that does not fit
+   * waits outside of the queue, after any other waiting loglines.
+   * The returned promise only resolves once it got queued and
+   * written, so callers awaiting the level methods slow down.
+   *
+   * @param {string} str
+   * @returns {Promise<unknown>}
+   */
+  _block (str) {
+    return new Promise((resolve) => {
+      this.blockedWrites.push({ str: str, resolve: resolve })
+      if (!this.pendingFlush) {
+        this._releaseBlocked(false)
+      }
+    })
+  }
+
+  /**
+   * Queues waiting loglines while there is room, or all of them
+   * with `force` for flushSync(), which writes them itself. A
+   * logline larger than the limits still gets queued on its own
+   * once the queue is empty.
+   *
+   * Returns true if any loglines got queued.
+   *
+   * @param {boolean} force
+   */
+  _releaseBlocked (force) {
+    /** @type {((r: Promise<unknown>) => void)[]} */
+    const released = []
+    while (this.blockedWrites.length > 0) {
+      const { str, resolve } = this.blockedWrites[0]
+      if (!force && this.pendingWrites.length > 0 &&
+        this._isFull(queuedBytes(str))
+      ) {
+        break
+      }
+
+      this.blockedWrites.shift()
+      this._enqueue(str)
+      released.push(resolve)
+    }
+
+    for (const resolve of released) {
+      resolve(force ? Promise.resolve(null) : this.flush())
+    }
+    return released.length > 0
+  }
+
+  /**
+   * @param {string} level
+   */
+  _countLevel (level) {
+    const linesByLevel = this.stats.linesByLevel
+    linesByLevel[level] = (linesByLevel[level] || 0) + 1
+  }
+
+  /**
+   * @param {string} str
+   */
+  _enqueue (str) {
+    this.pendingWrites.push(str)
+    this.pendingBytes += queuedBytes(str)
+  }
+
+  /**
+   * Queues a warning with the number of dropped loglines, it is
+   * not subject to the queue limits itself.
+   */
+  _enqueueDroppedWarning () {
+    const logLine = this.createLogLine('warn', 'dropped log lines', {
+      count: this.droppedLines,
+      queuePolicy: this.queuePolicy
+    }, Date.now())
+
+    this.droppedLines = 0
+    this._enqueue(this._serialize(logLine))
+  }
+
+  /**
+   * Serializes a logline with `options.formatter`, shrinking the
+   * largest values in the fields of lines longer than `maxLineSize`,
+   * see shrinkFields(). The shrunk values are listed in
+   * `truncatedPaths`.
+   *
+   * Only if that is not enough, e.g. for a huge msg, the fields are
+   * replaced with the start of the serialized line in `truncated`.
+   *
+   * @param {LogLine | Record<string, unknown>} logLine
+   */
+  _serialize (logLine) {
+    const str = this.format(/** @type {Record<string, unknown>} */ (logLine))
+    if (str.length <= this.maxLineSize) {
+      return str
+    }
+
+    this.stats.truncatedLines++
+
+    const level = logLine.level
+    const truncLevel = isLevel(level) && LEVELS[level] < LEVELS.warn
+      ? 'warn' : level
+
+    const fields = typeof logLine.fields === 'object' && logLine.fields
+      ? /** @type {Record<string, unknown>} */ (logLine.fields) : null
+    let excess = str.length - this.maxLineSize +
+      ',"truncatedPaths":[]'.length +
+      String(truncLevel).length - String(level).length
+
+    /**
+     * shrinkFields() measures values as JSON, other formats may
+     * need another round to fit.
+     */
+    for (let round = 0; round < 3; round++) {
+      const shrunk = fields && shrinkFields(fields, excess)
+      if (!shrunk) break
+
+      const shrunkStr = this.format({
+        ...logLine,
+        level: truncLevel,
+        fields: shrunk.fields,
+        truncatedPaths: shrunk.paths
+      })
+      if (shrunkStr.length <= this.maxLineSize) {
+        return shrunkStr
+      }
+      excess += shrunkStr.length - this.maxLineSize
+    }
+
+    return this.format({
+      ...logLine,
+      level: truncLevel,
+      fields: { isTruncated: true },
+      truncated: str.slice(0, this.maxLineSize - 3) + '...'
+    })
+  }
+
   async flush () {
-    if (this.pendingFlush) await this.pendingFlush
+    /**
+     * Wait until no flush is running, a caller woken up before us
+     * may have started the next one. Otherwise every waiter starts
+     * its own `_flush()`, in shared mode all fighting for the lock.
+     */
+    while (this.pendingFlush) {
+      await this.pendingFlush
+    }
     if (this.pendingWrites.length === 0) {
-      return this.pendingFlush
+      if (this.droppedLines === 0) {
+        return null
+      }
+      this._enqueueDroppedWarning()
     }
 
+    const flushStart = process.hrtime()
     this.pendingFlush = this._flush()
     const r = await this.pendingFlush
     this.pendingFlush = null
+    this.stats.flushLatency.record(elapsedMs(flushStart))
+
+    /** There is room in the queue again, also write those. */
+    if (this._releaseBlocked(false)) {
+      await this.flush()
+    }
 
     if (r.err) {
       this.onError(r.err)
+    } else if (this.droppedLines > 0 && this.pendingWrites.length === 0) {
+      /** The queue drained, now tell how much did not make it. */
+      this._enqueueDroppedWarning()
+      await this.flush()
     }
     return null
   }
 
   async _flush () {
+    /** Not awaiting anything in the common case keeps batching as is. */
+    if (this.fd === null || this.recovery) {
+      const { err: recoverErr, isWaiting } = await this._recover()
+      if (recoverErr) return { err: recoverErr }
+      if (isWaiting) return {}
+    }
+
+    if (!this.lock) {
+      return this._writePending()
+    }
+
+    /**
+     * In shared mode we only write, truncate and rotate while
+     * holding the lock, after catching up on whatever the other
+     * writers did to the file since our last write.
+     *
+     * If the lock cannot be taken the lines stay queued for the
+     * next flush().
+     */
+    const { err: lockErr } = await this.lock.acquire()
+    if (lockErr) {
+      return {
+        err: wrapf('_flush() could not lock', lockErr, {
+          productName: this.productName,
+          logFileLocation: this.logFileLocation
+        })
+      }
+    }
+
+    let r = await this._sync()
+    if (!r.err) {
+      r = await this._writePending()
+    }
+
+    const { err: unlockErr } = await this.lock.release()
+    if (r.err) return r
+    if (unlockErr) return { err: unlockErr }
+    return r
+  }
+
+  /**
+   * Re-opens the log file when we lost the fd, for example because
+   * `_truncate()` failed half way, or when someone removed or
+   * replaced the file so that we would be writing into the void.
+   *
+   * Failed attempts are retried with backoff; until then loglines
+   * stay queued, see `maxQueuedLines`. Once the file is back a
+   * warning about the gap is written first.
+   *
+   * @returns {Promise<{ err?: Error, isWaiting?: boolean }>}
+   */
+  async _recover () {
+    if (!this.hasOpened || this.isClosed) {
+      return {}
+    }
+
+    const now = Date.now()
+    if (!this.recovery) {
+      this.recovery = {
+        reason: 'fd lost', since: now, attempts: 0, nextAttempt: now
+      }
+    }
+
+    const recovery = this.recovery
+    const reason = recovery.reason
+    if (now < recovery.nextAttempt) {
+      /** Timers may fire a little early, try again in a bit. */
+      this._scheduleRecovery(recovery.nextAttempt - now)
+      return { isWaiting: true }
+    }
+    recovery.attempts++
+
+    const { err: reopenErr } = await this._reopenLogFile()
+    if (reopenErr) {
+      const delay = Math.min(
+        RECOVERY_MIN_MS * Math.pow(2, recovery.attempts - 1),
+        RECOVERY_MAX_MS
+      )
+      recovery.nextAttempt = Date.now() + delay
+      this._scheduleRecovery(delay)
+
+      return {
+        err: wrapf('_recover(): could not re-open log file', reopenErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName,
+          reason: reason,
+          attempts: recovery.attempts
+        })
+      }
+    }
+    this.recovery = null
+
+    const logLine = this.createLogLine('warn', 'log file was re-opened', {
+      reason: reason,
+      attempts: recovery.attempts,
+      gapMs: Date.now() - recovery.since
+    }, Date.now())
+    const str = this._serialize(logLine)
+    this.pendingWrites.unshift(str)
+    this.pendingBytes += queuedBytes(str)
+
+    return {}
+  }
+
+  /**
+   * Notices, at most every FILE_CHECK_INTERVAL, that the log file
+   * was removed or replaced, so the next flush re-opens it. In
+   * shared mode `_sync()` already checks the file on every flush.
+   *
+   * Returns true if the file must be re-opened.
+   */
+  async _checkFile () {
+    const now = Date.now()
+    if (this.lock || now < this.nextFileCheck) return false
+    this.nextFileCheck = now + FILE_CHECK_INTERVAL
+
+    const { err: statErr, data: stats } = await stat(this.logFileLocation)
+    let reason = null
+    if (statErr && statErr.code === 'ENOENT') {
+      reason = 'file missing'
+    } else if (!statErr && stats.ino !== this.ino) {
+      reason = 'file replaced'
+    }
+
+    if (reason && !this.isClosed) {
+      this.recovery = {
+        reason: reason, since: now, attempts: 0, nextAttempt: now
+      }
+      return true
+    }
+    return false
+  }
+
+  /**
+   * The directory may have been removed together with the file.
+   *
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async _reopenLogFile () {
+    const { err: mkdirErr } = await mkdir(
+      path.dirname(this.logFileLocation), { recursive: true }
+    )
+    if (mkdirErr) return { err: mkdirErr }
+
+    return this._reopen()
+  }
+
+  /**
+   * @param {number} delay
+   */
+  _scheduleRecovery (delay) {
+    if (this.recoveryTimer !== null) return
+
+    this.recoveryTimer = setTimeout(() => {
+      this.recoveryTimer = null
+      this.flush()
+    }, delay)
+    this.recoveryTimer.unref()
+  }
+
+  _cancelRecovery () {
+    if (this.recoveryTimer !== null) {
+      clearTimeout(this.recoveryTimer)
+      this.recoveryTimer = null
+    }
+    this.recovery = null
+  }
+
+  async _writePending () {
+    /** flushSync() may have written everything in the meantime. */
+    if (this.pendingWrites.length === 0) {
+      return {}
+    }
+
     const pendingWrites = this.pendingWrites.slice()
     this.pendingWrites.length = 0
+    this.pendingBytes = 0
 
     const linesToBeWritten = pendingWrites.length
     const buf = Buffer.from(
@@ -253,13 +973,26 @@ class AppendOnlyFSLogger {
     }
 
     /** Append the log to the end of the file */
+    const inflightWrite = { buf: buf, lines: linesToBeWritten }
+    this.inflightWrite = inflightWrite
     const { err: writeErr, data: bytesWritten } =
       await write(this.fd, buf, 0, buf.length, 0)
 
     // Use for verifying write syscalls in test.
     this._writeCalled++
 
+    /** flushSync() already finished this write for us. */
+    if (this.inflightWrite !== inflightWrite) {
+      return {}
+    }
+    this.inflightWrite = null
+
     if (writeErr) {
+      /** The fd got closed under us, _recover() gets a new one. */
+      if (writeErr.code === 'EBADF') {
+        this.fd = null
+      }
+
       return {
         err: wrapf('_write() could not write(fd)', writeErr, {
           productName: this.productName,
@@ -278,48 +1011,51 @@ class AppendOnlyFSLogger {
      * the new line character at the end will be missing.
      */
     if (bytesWritten !== buf.length) {
-      this.pendingWrites.push('\n')
+      this._enqueue('\n')
     }
 
-    const newLineByte = '\n'.charCodeAt(0)
-    for (let i = 0; i < bytesWritten; i++) {
-      if (buf[i] === newLineByte) {
-        this.newLineOffsets.push(this.size + i)
-      }
-    }
+    this._recordWrite(buf, bytesWritten, linesToBeWritten)
 
-    this.bytesWritten += bytesWritten
-    this.size += bytesWritten
+    /** Truncating or rotating a file that is gone makes no sense. */
+    if (await this._checkFile()) {
+      return {}
+    }
 
-    // This is best effort and over estimates in case of partial write.
-    this.lines += linesToBeWritten
+    if (this.retention === 'rotate') {
+      if (this.lines >= this.maxLines || this.size >= this.maxFileSize) {
+        this.stats.rotations++
+        return this._rotate()
+      }
+      return {}
+    }
 
-    if (this.lines >= MAX_LOG_LINES) {
+    if (this.lines >= this.maxLines) {
       /**
-       * We want to truncate 25%; so find the offset of the
-       * 25th percentile line
+       * We want to truncate 25% by default; so find the offset
+       * of the 25th percentile line
        */
-      const lineIndex = Math.floor(MAX_LOG_LINES / 4)
-      const offset = this.newLineOffsets[lineIndex]
+      const lineIndex = Math.floor(
+        this.maxLines * this.truncateFraction
+      )
+      const offset = /** @type {number} */ (
+        this.newLineOffsets.get(lineIndex)
+      )
 
       return this._truncate(offset + 1, lineIndex)
     }
 
-    if (this.size >= MAX_LOG_FILE_SIZE) {
+    if (this.size >= this.maxFileSize) {
       /**
-       * We want to truncate 25%; so find the nearest newline
-       * to the 25th percentile byte size.
+       * We want to truncate 25% by default; so find the nearest
+       * newline to the 25th percentile byte size.
        */
-      const minimumOffset = Math.floor(MAX_LOG_FILE_SIZE / 4)
-      let offset = minimumOffset
-      let lineIndex = -1
-      for (let i = 0; i < this.newLineOffsets.length; i++) {
-        if (this.newLineOffsets[i] > minimumOffset) {
-          offset = this.newLineOffsets[i]
-          lineIndex = i
-          break
-        }
-      }
+      const minimumOffset = Math.floor(
+        this.maxFileSize * this.truncateFraction
+      )
+      const lineIndex = this.newLineOffsets.findFirstAfter(minimumOffset)
+      const offset = lineIndex === -1
+        ? minimumOffset
+        : /** @type {number} */ (this.newLineOffsets.get(lineIndex))
 
       return this._truncate(offset + 1, lineIndex)
     }
@@ -328,12 +1064,293 @@ class AppendOnlyFSLogger {
   }
 
   /**
-   * Truncating is a bitch. You cannot delete the start of a file.
+   * @param {Buffer} buf
+   * @param {number} bytesWritten
+   * @param {number} linesToBeWritten
+   */
+  _recordWrite (buf, bytesWritten, linesToBeWritten) {
+    const newLineByte = '\n'.charCodeAt(0)
+    for (let i = 0; i < bytesWritten; i++) {
+      if (buf[i] === newLineByte) {
+        this.newLineOffsets.push(this.size + i)
+      }
+    }
+
+    this.bytesWritten += bytesWritten
+    this.size += bytesWritten
+
+    // This is best effort and over estimates in case of partial write.
+    this.lines += linesToBeWritten
+  }
+
+  /**
+   * Catches up with the writes of other processes in shared mode.
+   *
+   * When the file got truncated, rotated or removed the path points
+   * to a new inode and we re-open and re-scan it. Otherwise we only
+   * scan the lines appended since our last write.
+   *
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async _sync () {
+    const { err: statErr, data: stats } = await stat(this.logFileLocation)
+    if (statErr && statErr.code !== 'ENOENT') {
+      return {
+        err: wrapf('_sync(): could not stat', statErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName
+        })
+      }
+    }
+
+    if (statErr || stats.ino !== this.ino) {
+      return this._reopen()
+    }
+
+    if (stats.size < this.size) {
+      this.lines = 0
+      this.size = 0
+      this.newLineOffsets.clear()
+    }
+    return this._scan(stats.size)
+  }
+
+  async _reopen () {
+    const oldFd = this.fd
+
+    const { err: openErr, data: fd } =
+      await open(this.logFileLocation, 'a+')
+    if (openErr) {
+      return {
+        err: wrapf('_reopen(): could not open', openErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName
+        })
+      }
+    }
+    this.fd = fd
+
+    this.lines = 0
+    this.size = 0
+    this.newLineOffsets.clear()
+
+    if (oldFd !== null) {
+      const { err: closeErr } = await close(oldFd)
+      if (closeErr) {
+        return {
+          err: wrapf('_reopen(): could not close old fd', closeErr, {
+            logFileLocation: this.logFileLocation,
+            productName: this.productName,
+            oldFd: oldFd
+          })
+        }
+      }
+    }
+
+    const { err: statErr, data: stats } = await fstat(fd)
+    if (statErr) {
+      return {
+        err: wrapf('_reopen(): could not fstat', statErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName
+        })
+      }
+    }
+
+    this.ino = stats.ino
+    return this._scan(stats.size)
+  }
+
+  /**
+   * Records the new lines between `this.size` and `end`, which
+   * other writers appended to the file.
+   *
+   * @param {number} end
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async _scan (end) {
+    const { err: readErr } = await this._scanFd(this.fd, end)
+    if (readErr) {
+      return {
+        err: wrapf('_scan(): could not read', readErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName,
+          position: this.size
+        })
+      }
+    }
+
+    return {}
+  }
+
+  /**
+   * Reads `fd` from `this.size` up to `end`, or the end of the
+   * file, and records the new lines in it. Only one chunk is in
+   * memory at a time.
+   *
+   * @param {number} fd
+   * @param {number} end
+   * @returns {Promise<{ err?: NodeJS.ErrnoException }>}
+   */
+  async _scanFd (fd, end) {
+    if (end <= this.size) {
+      return {}
+    }
+
+    const newLineByte = '\n'.charCodeAt(0)
+    const buf = Buffer.alloc(Math.min(SCAN_CHUNK_SIZE, end - this.size))
+
+    while (this.size < end) {
+      const length = Math.min(buf.length, end - this.size)
+      const { err: readErr, data: bytesRead } =
+        await read(fd, buf, 0, length, this.size)
+      if (readErr) {
+        return { err: readErr }
+      }
+      if (bytesRead === 0) break
+
+      for (let i = 0; i < bytesRead; i++) {
+        if (buf[i] === newLineByte) {
+          this.newLineOffsets.push(this.size + i)
+          this.lines++
+        }
+      }
+      this.size += bytesRead
+    }
+
+    return {}
+  }
+
+  async _readIno () {
+    const { err: statErr, data: stats } = await fstat(this.fd)
+    if (statErr) {
+      return {
+        err: wrapf('could not fstat log file', statErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName
+        })
+      }
+    }
+
+    this.ino = stats.ino
+    return {}
+  }
+
+  /**
+   * Writes all pending loglines with a blocking fs.writeSync().
+   *
+   * This is meant for the 'exit' and 'uncaughtException' handlers
+   * of a process, where an asynchronous fs.write() never calls back
+   * and the last loglines would otherwise be lost. That includes
+   * the write that is currently inflight in the threadpool; we
+   * fstat() the file for a little while to find out how much of it
+   * reaches the disk and write the rest ourselves.
+   *
+   * If that write lands only after INFLIGHT_WAIT_MS its lines end
+   * up in the file twice; a duplicated logline beats a lost one.
+   *
+   * Truncation is skipped, the next flush() will catch up on it.
+   * In shared mode we write without waiting for the lock. Only with
+   * `exiting` we give up the lock, a dying process must not leave
+   * it behind; otherwise a flush() that is still running may hold
+   * it while it writes or truncates.
+   *
+   * @param {{ exiting?: boolean }} [options]
+   * @returns {{ err?: Error }}
+   */
+  flushSync (options) {
+    const exiting = !!options && !!options.exiting
+
+    this._enqueueRepeated()
+
+    const inflightWrite = this.inflightWrite
+    if (!inflightWrite && this.pendingWrites.length === 0 &&
+      this.droppedLines === 0 && this.blockedWrites.length === 0
+    ) {
+      return exiting ? this._releaseLockSync() : {}
+    }
+
+    if (!this.fd) {
+      return {
+        err: new Error('flushSync() could not write, fd is null')
+      }
+    }
+
+    try {
+      if (inflightWrite) {
+        const expectedSize = this.size + inflightWrite.buf.length
+        const deadline = Date.now() + INFLIGHT_WAIT_MS
+
+        let size = fs.fstatSync(this.fd).size
+        while (size < expectedSize && Date.now() < deadline) {
+          size = fs.fstatSync(this.fd).size
+        }
+
+        const written = Math.max(0, Math.min(
+          size - this.size, inflightWrite.buf.length
+        ))
+
+        writeAllSync(this.fd, inflightWrite.buf, written)
+        this.inflightWrite = null
+        this._recordWrite(
+          inflightWrite.buf, inflightWrite.buf.length, inflightWrite.lines
+        )
+      }
+
+      if (this.droppedLines > 0) {
+        this._enqueueDroppedWarning()
+      }
+      this._releaseBlocked(true)
+
+      if (this.pendingWrites.length > 0) {
+        const pendingWrites = this.pendingWrites.slice()
+        this.pendingWrites.length = 0
+        this.pendingBytes = 0
+
+        const buf = Buffer.from(pendingWrites.join('\n') + '\n')
+        writeAllSync(this.fd, buf, 0)
+        this._writeCalled++
+        this._recordWrite(buf, buf.length, pendingWrites.length)
+      }
+
+      /**
+       * Others may have written in between, so forget the inode
+       * to make the next flush() re-scan the whole file.
+       */
+      if (this.lock) {
+        this.ino = null
+      }
+      if (exiting) {
+        const { err: unlockErr } = this._releaseLockSync()
+        if (unlockErr) return { err: unlockErr }
+      }
+    } catch (writeErr) {
+      return {
+        err: wrapf('flushSync() could not write(fd)', writeErr, {
+          productName: this.productName,
+          fd: this.fd,
+          logFileLocation: this.logFileLocation
+        })
+      }
+    }
+
+    return {}
+  }
+
+  /**
+   * @returns {{ err?: Error }}
+   */
+  _releaseLockSync () {
+    return this.lock ? this.lock.releaseSync() : {}
+  }
+
+  /**
+   * Truncating is a bitch. You cannot delete the start of a file.
    *
    * You cannot prepend to a file either. What we can do however
    * is to create a temporary file. We then read from a certain
-   * offset on the main file and copy the last 75% into the
-   * temporary file.
+   * offset on the main file and copy the last 75% (or whatever
+   * remains after `truncateFraction`) into the temporary file.
    *
    * Then we do an atomic rename of the file back to the original
    * file name.
@@ -343,10 +1360,37 @@ class AppendOnlyFSLogger {
    *
    * Oh and unlink the temporary file too !
    *
+   * With `compress` the lines before `position` are archived first,
+   * failing to archive them is reported but does not stop us from
+   * truncating.
+   *
    * @param {number} position
    * @param {number} lineIndex
    */
   async _truncate (position, lineIndex) {
+    const start = process.hrtime()
+    const r = await this._truncateFile(position, lineIndex)
+
+    const truncateMs = elapsedMs(start)
+    this.stats.truncations++
+    this.stats.truncateMs += truncateMs
+    this.stats.lastTruncateMs = truncateMs
+    return r
+  }
+
+  /**
+   * Does the work of `_truncate()`, which times it for getStats().
+   *
+   * @param {number} position
+   * @param {number} lineIndex
+   */
+  async _truncateFile (position, lineIndex) {
+    let archiveErr = null
+    if (this.compress) {
+      const r = await this._archiveHead(position)
+      archiveErr = r.err || null
+    }
+
     const writeStream = fs.createWriteStream(
       this.logFileLocation + '.tmp'
     )
@@ -383,12 +1427,13 @@ class AppendOnlyFSLogger {
     if (lineIndex === -1) {
       this.lines = 0
       this.size = 0
-      this.newLineOffsets.length = 0
+      this.newLineOffsets.clear()
 
-      const { err: closeErr } = await close(this.fd)
+      const oldFd = this.fd
+      this.fd = null
+
+      const { err: closeErr } = await close(oldFd)
       if (closeErr) {
-        const oldFd = this.fd
-        this.fd = null
         return {
           err: wrapf('_truncate(): could not close', closeErr, {
             logFileLocation: this.logFileLocation,
@@ -398,15 +1443,13 @@ class AppendOnlyFSLogger {
         }
       }
 
-      return this.open()
+      /** Not open(), getOpenTiming() is about the startup cost. */
+      return this._reopen()
     }
 
     this.lines = this.lines - lineIndex - 1
     this.size = this.size - position
-    this.newLineOffsets = this.newLineOffsets.slice(lineIndex + 1)
-    for (let i = 0; i < this.newLineOffsets.length; i++) {
-      this.newLineOffsets[i] -= position
-    }
+    this.newLineOffsets.dropFirst(lineIndex + 1, position)
 
     const oldFd = this.fd
 
@@ -433,10 +1476,298 @@ class AppendOnlyFSLogger {
       }
     }
 
+    const { err: inoErr } = await this._readIno()
+    if (inoErr) return { err: inoErr }
+
+    return archiveErr ? { err: archiveErr } : {}
+  }
+
+  /**
+   * Compresses the first `end` bytes of the log file into
+   * `logs.1.ndjson.gz` before they get truncated. Older archives
+   * move up one index, just like rotated files.
+   *
+   * @param {number} end
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async _archiveHead (end) {
+    let count = 0
+    while (true) {
+      const fileName = this._rotatedName(count + 1)
+      const { err: statErr } = await stat(fileName)
+      if (statErr && statErr.code === 'ENOENT') {
+        break
+      } else if (statErr) {
+        return {
+          err: wrapf('_archiveHead(): could not stat', statErr, {
+            logFileLocation: this.logFileLocation,
+            productName: this.productName,
+            archive: fileName
+          })
+        }
+      }
+      count++
+    }
+
+    for (let i = count; i >= 1; i--) {
+      const source = this._rotatedName(i)
+      const destination = this._rotatedName(i + 1)
+
+      const { err: renameErr } = await rename(source, destination)
+      if (renameErr) {
+        return {
+          err: wrapf('_archiveHead(): could not rename', renameErr, {
+            logFileLocation: this.logFileLocation,
+            productName: this.productName,
+            source: source,
+            destination: destination
+          })
+        }
+      }
+    }
+
+    const { err: gzipErr } = await this._gzip(
+      fs.createReadStream(this.logFileLocation, { start: 0, end: end - 1 }),
+      this._rotatedName(1)
+    )
+    if (gzipErr) return { err: gzipErr }
+
+    return this._removeRotatedOverBudget()
+  }
+
+  /**
+   * @param {NodeJS.ReadableStream} readStream
+   * @param {string} destination
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async _gzip (readStream, destination) {
+    const { err: pipeErr } = await pipeline(
+      readStream, zlib.createGzip(), fs.createWriteStream(destination)
+    )
+    if (pipeErr) {
+      return {
+        err: wrapf('_gzip(): could not pipeline', pipeErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName,
+          destination: destination
+        })
+      }
+    }
+
+    return {}
+  }
+
+  /**
+   * Name of the n-th rotated file or archive.
+   *
+   * @param {number} index
+   */
+  _rotatedName (index) {
+    const fileName = rotatedFileName(this.logFileLocation, index)
+    return this.compress ? fileName + '.gz' : fileName
+  }
+
+  /**
+   * Rotating avoids copying the file around. We close the current
+   * file and move it out of the way; `logs.ndjson` becomes
+   * `logs.1.ndjson`, `logs.1.ndjson` becomes `logs.2.ndjson` and
+   * so on. The file that falls off the end is unlinked.
+   *
+   * After renaming we open a new empty file and swap the fd
+   * descriptor, just like in `_truncate()`.
+   *
+   * With `compress` the renamed file gets compressed into
+   * `logs.1.ndjson.gz` after swapping the fd.
+   *
+   * Lastly the oldest rotated files get removed until all the files
+   * together fit in `maxTotalSize`, or `maxArchiveSize` when they
+   * are compressed.
+   */
+  async _rotate () {
+    const oldestFile = this._rotatedName(this.maxFiles)
+    const { err: unlinkErr } = await unlink(oldestFile)
+    if (unlinkErr && unlinkErr.code !== 'ENOENT') {
+      return {
+        err: wrapf('_rotate(): could not unlink', unlinkErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName,
+          oldestFile: oldestFile
+        })
+      }
+    }
+
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const source = this._rotatedName(i)
+      const destination = this._rotatedName(i + 1)
+
+      const { err: renameErr } = await rename(source, destination)
+      if (renameErr && renameErr.code !== 'ENOENT') {
+        return {
+          err: wrapf('_rotate(): could not rename', renameErr, {
+            logFileLocation: this.logFileLocation,
+            productName: this.productName,
+            source: source,
+            destination: destination
+          })
+        }
+      }
+    }
+
+    const firstFile = rotatedFileName(this.logFileLocation, 1)
+    const { err: renameErr } = await rename(
+      this.logFileLocation, firstFile
+    )
+    if (renameErr) {
+      return {
+        err: wrapf('_rotate(): could not rename', renameErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName,
+          destination: firstFile
+        })
+      }
+    }
+
+    this.lines = 0
+    this.size = 0
+    this.newLineOffsets.clear()
+
+    const oldFd = this.fd
+
+    const { err: openErr, data: fd } =
+      await open(this.logFileLocation, 'a+')
+    if (openErr) {
+      return {
+        err: wrapf('_rotate(): could not re open', openErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName
+        })
+      }
+    }
+    this.fd = fd
+
+    const { err: closeErr } = await close(oldFd)
+    if (closeErr) {
+      return {
+        err: wrapf('_rotate(): could not close old fd', closeErr, {
+          logFileLocation: this.logFileLocation,
+          productName: this.productName,
+          oldFd: oldFd
+        })
+      }
+    }
+
+    const { err: inoErr } = await this._readIno()
+    if (inoErr) return { err: inoErr }
+
+    if (this.compress) {
+      const { err: gzipErr } = await this._gzip(
+        fs.createReadStream(firstFile), this._rotatedName(1)
+      )
+      if (gzipErr) return { err: gzipErr }
+
+      const { err: unlinkErr } = await unlink(firstFile)
+      if (unlinkErr) {
+        return {
+          err: wrapf('_rotate(): could not unlink', unlinkErr, {
+            logFileLocation: this.logFileLocation,
+            productName: this.productName,
+            rotatedFile: firstFile
+          })
+        }
+      }
+    }
+
+    return this._removeRotatedOverBudget()
+  }
+
+  async _removeRotatedOverBudget () {
+    /**
+     * Reserve room for the current file to grow up to maxFileSize
+     * so that all files together stay within maxTotalSize. The
+     * archives have a budget of their own.
+     */
+    let totalSize = this.compress ? 0 : this.maxFileSize
+    const budget = this.compress ? this.maxArchiveSize : this.maxTotalSize
+    const lastIndex = this._lastRotatedIndex()
+
+    for (let i = 1; i <= lastIndex; i++) {
+      const fileName = this._rotatedName(i)
+
+      const { err: statErr, data: stats } = await stat(fileName)
+      if (statErr && statErr.code === 'ENOENT') {
+        if (lastIndex === Infinity) break
+        continue
+      } else if (statErr) {
+        return {
+          err: wrapf(
+            '_removeRotatedOverBudget(): could not stat', statErr, {
+              logFileLocation: this.logFileLocation,
+              productName: this.productName,
+              rotatedFile: fileName
+            }
+          )
+        }
+      }
+
+      totalSize += stats.size
+      if (totalSize <= budget) {
+        continue
+      }
+
+      const { err: unlinkErr } = await unlink(fileName)
+      if (unlinkErr) {
+        return {
+          err: wrapf(
+            '_removeRotatedOverBudget(): could not unlink', unlinkErr, {
+              logFileLocation: this.logFileLocation,
+              productName: this.productName,
+              rotatedFile: fileName
+            }
+          )
+        }
+      }
+    }
+
+    return {}
+  }
+
+  /**
+   * Writes the pending loglines and closes the file.
+   *
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async close () {
+    this._enqueueRepeated()
+    await this.flush()
+    this.isClosed = true
+    this._cancelRecovery()
+
+    if (this.fd === null) {
+      return {}
+    }
+
+    const fd = this.fd
+    this.fd = null
+
+    const { err: closeErr } = await close(fd)
+    if (closeErr) {
+      return {
+        err: wrapf('close(): could not close', closeErr, {
+          fd: fd,
+          logFileLocation: this.logFileLocation,
+          productName: this.productName
+        })
+      }
+    }
+
     return {}
   }
 
   async destroy () {
+    this.isClosed = true
+    this._cancelRecovery()
+    this._cancelDedupe()
+
     const { err: closeErr } = await close(this.fd)
     if (closeErr) {
       return {
@@ -460,17 +1791,134 @@ class AppendOnlyFSLogger {
       }
     }
 
+    if (this.retention !== 'rotate' && !this.compress) {
+      return {}
+    }
+
+    const lastIndex = this._lastRotatedIndex()
+    for (let i = 1; i <= lastIndex; i++) {
+      const fileName = this._rotatedName(i)
+
+      const { err: unlinkErr } = await unlink(fileName)
+      if (unlinkErr && unlinkErr.code === 'ENOENT') {
+        if (lastIndex === Infinity) break
+      } else if (unlinkErr) {
+        return {
+          err: wrapf('destroy(): could not unlink', unlinkErr, {
+            logFileLocation: this.logFileLocation,
+            productName: this.productName,
+            rotatedFile: fileName
+          })
+        }
+      }
+    }
+
     return {}
   }
 
+  /**
+   * Rotated files are limited by `maxFiles`, archives of truncated
+   * lines only by `maxArchiveSize` and never have gaps.
+   */
+  _lastRotatedIndex () {
+    return this.retention === 'rotate' ? this.maxFiles : Infinity
+  }
+
   getWriteCalledCounter () {
     return this._writeCalled
   }
+
+  /**
+   * Returns counters about the health of the logger itself, see
+   * `MainLogger#getStats()`.
+   */
+  getStats () {
+    const stats = this.stats
+    return {
+      linesByLevel: { ...stats.linesByLevel },
+      lines: this.lines,
+      size: this.size,
+      bytesWritten: this.bytesWritten,
+      pendingLines: this.pendingWrites.length,
+      truncatedLines: stats.truncatedLines,
+      droppedLines: stats.droppedLines,
+      truncations: stats.truncations,
+      truncateMs: stats.truncateMs,
+      lastTruncateMs: stats.lastTruncateMs,
+      rotations: stats.rotations,
+      flushLatency: stats.flushLatency.toJSON(),
+      lastError: stats.lastError,
+      lastErrorTime: stats.lastErrorTime
+    }
+  }
 }
 
 AppendOnlyFSLogger.LogLine = LogLine
+AppendOnlyFSLogger.rotatedFileName = rotatedFileName
 module.exports = AppendOnlyFSLogger
 
+/**
+ * Returns the name of the n-th rotated file; the index goes
+ * before the extension so `logs.ndjson` becomes `logs.1.ndjson`.
+ *
+ * @param {string} fileName
+ * @param {number} index
+ */
+function rotatedFileName (fileName, index) {
+  const extname = path.extname(fileName)
+  const basename = fileName.slice(0, fileName.length - extname.length)
+
+  return `${basename}.${index}${extname}`
+}
+
+/**
+ * @param {number} fd
+ * @param {Buffer} buf
+ * @param {number} offset
+ */
+function writeAllSync (fd, buf, offset) {
+  while (offset < buf.length) {
+    offset += fs.writeSync(fd, buf, offset, buf.length - offset)
+  }
+}
+
+/**
+ * @param {[number, number]} start
+ */
+function elapsedMs (start) {
+  const [seconds, nanoseconds] = process.hrtime(start)
+  return seconds * 1e3 + nanoseconds / 1e6
+}
+
+/**
+ * Bytes a logline takes up in the pending queue and on disk.
+ *
+ * @param {string} str
+ */
+function queuedBytes (str) {
+  return Buffer.byteLength(str) + 1
+}
+
+/**
+ * Loglines with the same key are duplicates, their time does not
+ * matter.
+ *
+ * @param {LogLine} logLine
+ */
+function dedupeKey (logLine) {
+  return JSON.stringify([logLine.level, logLine.msg, logLine.fields])
+}
+
+/**
+ * @param {number | undefined} value
+ * @param {string} name
+ */
+function assertLimit (value, name) {
+  assert(value === undefined || (
+    Number.isInteger(value) && value > 0
+  ), name + ' must be a positive integer')
+}
+
 /**
  * @param {Error} err
  */
@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+// @ts-check
+'use strict'
+
+const fs = require('fs')
+
+const { wrapf } = require('./error.js')
+const { resultify } = require('./resultify.js')
+const LogReader = require('./reader.js')
+const { LEVELS, isLevel } = require('./levels.js')
+const { formatConsoleLine, green } = require('./console-format.js')
+
+const stat = resultify(fs.stat)
+const open = resultify(fs.open)
+const read = resultify(fs.read)
+const close = resultify(fs.close)
+
+const NEW_LINE_BYTE = '\n'.charCodeAt(0)
+const CHUNK_SIZE = 64 * 1024
+const FOLLOW_INTERVAL = 250
+const DURATIONS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+}
+
+const USAGE = `usage: append-fs-logger [options] <file>
+
+Pretty prints a log file written by append-fs-logger, oldest
+lines first and including its rotated files.
+
+options:
+  -f, --follow       Keep printing new lines as they get written
+  --level <level>    Only print lines at or above level
+  --since <time>     Only print lines logged after time
+  --until <time>     Only print lines logged before time
+  --grep <pattern>   Only print lines matching the regular expression
+  --no-rotated       Do not print rotated files
+  --no-color         Do not print colors
+  -h, --help         Print this message
+
+<time> is an ISO date, a timestamp in milliseconds or a duration
+like 30s, 10m, 2h or 1d ago.`
+
+/**
+ * @typedef {{
+ *    fileName: string,
+ *    help: boolean,
+ *    follow: boolean,
+ *    rotated: boolean,
+ *    colors: boolean,
+ *    grep: RegExp | null,
+ *    filter: import('./reader.js').LogFilter
+ * }} CLIOptions
+ */
+
+class LogPrinter {
+  /**
+   * @param {CLIOptions} options
+   * @param {NodeJS.WritableStream} output
+   */
+  constructor (options, output) {
+    this.fileName = options.fileName
+    this.colors = options.colors
+    this.grep = options.grep
+    this.output = output
+
+    this.reader = new LogReader(options.fileName, {
+      rotated: options.rotated
+    })
+    this.matches = LogReader.createMatcher(options.filter)
+
+    // State for following the current log file.
+    /** @type {number | null} */
+    this.ino = null
+    this.position = 0
+    /** @type {string | null} */
+    this.lastLine = null
+  }
+
+  /**
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async print () {
+    const { err, data: files } = await this.reader.listFiles()
+    if (err) return { err: err }
+
+    for (const fileName of /** @type {string[]} */ (files)) {
+      const { err: printErr } = await this.printFile(fileName)
+      if (printErr) return { err: printErr }
+    }
+
+    return {}
+  }
+
+  /**
+   * Prints the rotated files and then polls the log file. When the
+   * file gets truncated or rotated we continue after the last line
+   * we have seen if it is still in the new file.
+   *
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async follow () {
+    const { err, data: files } = await this.reader.listFiles()
+    if (err) return { err: err }
+
+    const rotatedFiles = /** @type {string[]} */ (files)
+      .filter((f) => f !== this.fileName)
+    for (const fileName of rotatedFiles) {
+      const { err: printErr } = await this.printFile(fileName)
+      if (printErr) return { err: printErr }
+    }
+
+    while (true) {
+      const { err: pollErr } = await this.poll()
+      if (pollErr) return { err: pollErr }
+
+      await sleep(FOLLOW_INTERVAL)
+    }
+  }
+
+  /**
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async poll () {
+    const { err: statErr, data: stats } = await stat(this.fileName)
+    if (statErr && statErr.code === 'ENOENT') {
+      return {}
+    } else if (statErr) {
+      return {
+        err: wrapf('poll(): could not stat', statErr, {
+          fileName: this.fileName
+        })
+      }
+    }
+
+    if (this.ino !== null && (
+      stats.ino !== this.ino || stats.size < this.position
+    )) {
+      return this.resync(stats)
+    }
+
+    this.ino = stats.ino
+    if (stats.size === this.position) {
+      return {}
+    }
+
+    const { err, data: position } = await readLineRange(
+      this.fileName, this.position, stats.size, (line) => {
+        this.lastLine = line
+        this.printLine(line)
+      }
+    )
+    if (err) return { err: err }
+
+    this.position = /** @type {number} */ (position)
+    return {}
+  }
+
+  /**
+   * @param {fs.Stats} stats
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async resync (stats) {
+    const lastLine = this.lastLine
+    let skipUntil = -1
+    let index = 0
+
+    if (lastLine !== null) {
+      const { err } = await readLineRange(
+        this.fileName, 0, stats.size, (line) => {
+          if (line === lastLine) skipUntil = index
+          index++
+        }
+      )
+      if (err) return { err: err }
+    }
+
+    index = 0
+    const { err, data: position } = await readLineRange(
+      this.fileName, 0, stats.size, (line) => {
+        if (index++ <= skipUntil) return
+
+        this.lastLine = line
+        this.printLine(line)
+      }
+    )
+    if (err) return { err: err }
+
+    this.ino = stats.ino
+    this.position = /** @type {number} */ (position)
+    return {}
+  }
+
+  /**
+   * @param {string} fileName
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async printFile (fileName) {
+    const readStream = LogReader.createReadStream(fileName)
+
+    try {
+      for await (const line of LogReader.readLines(readStream)) {
+        this.printLine(line)
+      }
+    } catch (err) {
+      /** Rotated files may be gone by now, the log file must not. */
+      if (err.code === 'ENOENT' && fileName === this.fileName) {
+        return { err: new Error(`no such file: ${fileName}`) }
+      } else if (err.code === 'ENOENT') {
+        return {}
+      }
+
+      return {
+        err: wrapf('printFile(): could not read', err, {
+          fileName: fileName
+        })
+      }
+    } finally {
+      readStream.destroy()
+    }
+
+    return {}
+  }
+
+  /**
+   * @param {string} line
+   */
+  printLine (line) {
+    if (this.grep && !this.grep.test(line)) {
+      return
+    }
+
+    const record = this.reader.parseLine(line)
+    if (!record || !this.matches(record)) {
+      return
+    }
+
+    this.output.write(this.format(record) + '\n')
+  }
+
+  /**
+   * @param {import('./reader.js').LogRecord} record
+   */
+  format (record) {
+    if (!isLevel(record.level) || typeof record.msg !== 'string') {
+      return JSON.stringify(record)
+    }
+
+    const timestamp = typeof record.time === 'number'
+      ? record.time : Date.parse(record.time)
+    const name = String(record.name)
+    const prefix = this.colors ? green(name) : name
+
+    return prefix + ' ' + formatConsoleLine(
+      record.level, record.msg, record.fields, timestamp, this.colors
+    )
+  }
+}
+
+if (require.main === module) {
+  process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(0)
+    throw err
+  })
+
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code
+  })
+}
+
+/**
+ * @param {string[]} argv
+ * @returns {Promise<number>}
+ */
+async function main (argv) {
+  const { err: argsErr, data: options } = parseArgs(argv)
+  if (argsErr) {
+    process.stderr.write(`${argsErr.message}\n\n${USAGE}\n`)
+    return 1
+  }
+
+  const opts = /** @type {CLIOptions} */ (options)
+  if (opts.help) {
+    process.stdout.write(USAGE + '\n')
+    return 0
+  }
+
+  const printer = new LogPrinter(opts, process.stdout)
+  const { err } = opts.follow
+    ? await printer.follow()
+    : await printer.print()
+  if (err) {
+    process.stderr.write(err.message + '\n')
+    return 1
+  }
+
+  return 0
+}
+
+/**
+ * @param {string[]} argv
+ * @returns {{ err?: Error, data?: CLIOptions }}
+ */
+function parseArgs (argv) {
+  /** @type {CLIOptions} */
+  const options = {
+    fileName: '',
+    help: false,
+    follow: false,
+    rotated: true,
+    colors: !!process.stdout.isTTY,
+    grep: null,
+    filter: {}
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true
+    } else if (arg === '-f' || arg === '--follow') {
+      options.follow = true
+    } else if (arg === '--no-rotated') {
+      options.rotated = false
+    } else if (arg === '--no-color') {
+      options.colors = false
+    } else if (arg === '--color') {
+      options.colors = true
+    } else if (
+      arg === '--level' || arg === '--since' ||
+      arg === '--until' || arg === '--grep'
+    ) {
+      const value = argv[++i]
+      if (value === undefined) {
+        return { err: new Error(`${arg} requires a value`) }
+      }
+
+      if (arg === '--level') {
+        if (!isLevel(value)) {
+          return {
+            err: new Error('--level must be one of ' +
+              Object.keys(LEVELS).join(', '))
+          }
+        }
+        options.filter.level = value
+      } else if (arg === '--grep') {
+        try {
+          options.grep = new RegExp(value)
+        } catch (err) {
+          return { err: new Error(`--grep is invalid: ${err.message}`) }
+        }
+      } else {
+        const time = parseTime(value, Date.now())
+        if (isNaN(time)) {
+          return { err: new Error(`${arg} is not a valid time: ${value}`) }
+        }
+
+        if (arg === '--since') {
+          options.filter.since = time
+        } else {
+          options.filter.until = time
+        }
+      }
+    } else if (arg.startsWith('-')) {
+      return { err: new Error(`unknown option ${arg}`) }
+    } else if (options.fileName) {
+      return { err: new Error('only one file can be printed') }
+    } else {
+      options.fileName = arg
+    }
+  }
+
+  if (!options.fileName && !options.help) {
+    return { err: new Error('file is required') }
+  }
+
+  return { data: options }
+}
+
+/**
+ * @param {string} value
+ * @param {number} now
+ */
+function parseTime (value, now) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10)
+  }
+
+  const duration = /^(\d+)([smhd])$/.exec(value)
+  if (duration) {
+    const unit = /** @type {keyof DURATIONS} */ (duration[2])
+    return now - parseInt(duration[1], 10) * DURATIONS[unit]
+  }
+
+  return Date.parse(value)
+}
+
+/**
+ * Calls onLine() for every complete line between start and end and
+ * returns the offset after the last complete line. A trailing
+ * partial line is left for the next call.
+ *
+ * @param {string} fileName
+ * @param {number} start
+ * @param {number} end
+ * @param {(line: string) => void} onLine
+ * @returns {Promise<{ err?: Error, data?: number }>}
+ */
+async function readLineRange (fileName, start, end, onLine) {
+  const { err: openErr, data: fd } = await open(fileName, 'r')
+  if (openErr) {
+    return {
+      err: wrapf('readLineRange(): could not open', openErr, {
+        fileName: fileName
+      })
+    }
+  }
+
+  const buf = Buffer.alloc(CHUNK_SIZE)
+  let position = start
+  let consumed = start
+  /** @type {Buffer | null} */
+  let remainder = null
+
+  while (position < end) {
+    const length = Math.min(CHUNK_SIZE, end - position)
+    const { err: readErr, data: bytesRead } =
+      await read(fd, buf, 0, length, position)
+    if (readErr) {
+      await close(fd)
+      return {
+        err: wrapf('readLineRange(): could not read', readErr, {
+          fileName: fileName,
+          position: position
+        })
+      }
+    }
+    if (bytesRead === 0) break
+
+    position += bytesRead
+    /** @type {Buffer} */
+    const chunk = remainder
+      ? Buffer.concat([remainder, buf.slice(0, bytesRead)])
+      : buf.slice(0, bytesRead)
+
+    let lineStart = 0
+    let index = chunk.indexOf(NEW_LINE_BYTE, lineStart)
+    while (index !== -1) {
+      onLine(chunk.toString('utf8', lineStart, index))
+
+      lineStart = index + 1
+      index = chunk.indexOf(NEW_LINE_BYTE, lineStart)
+    }
+
+    consumed = position - (chunk.length - lineStart)
+    /** Copy the remainder because buf gets reused. */
+    remainder = lineStart < chunk.length
+      ? Buffer.from(chunk.slice(lineStart)) : null
+  }
+
+  const { err: closeErr } = await close(fd)
+  if (closeErr) {
+    return {
+      err: wrapf('readLineRange(): could not close', closeErr, {
+        fileName: fileName
+      })
+    }
+  }
+
+  return { data: consumed }
+}
+
+/** @param {number} n */
+function sleep (n) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, n)
+  })
+}
@@ -0,0 +1,103 @@
+// @ts-check
+'use strict'
+
+const util = require('util')
+
+exports.formatConsoleLine = formatConsoleLine
+exports.shortFormateTime = shortFormateTime
+exports.green = green
+exports.magenta = magenta
+
+/**
+ * Formats a logline the way it gets printed to the console,
+ * without the prefix.
+ *
+ * @param {string} level
+ * @param {string} msg
+ * @param {object | undefined} info
+ * @param {number} timestamp
+ * @param {boolean} colors
+ */
+function formatConsoleLine (level, msg, info, timestamp, colors) {
+  let timeStr = shortFormateTime(timestamp)
+
+  if (colors) {
+    timeStr = level === 'trace' || level === 'debug'
+      ? gray(timeStr) : level === 'info'
+        ? cyan(timeStr) : level === 'warn'
+          ? yellow(timeStr) : level === 'error' || level === 'fatal'
+            ? red(timeStr) : timeStr
+  }
+
+  let infoText = info ? util.inspect(info, {
+    breakLength: 65,
+    colors: colors,
+    depth: 4
+  }) : '{}'
+
+  if (infoText.length > 8 * 1024) {
+    infoText = infoText.slice(0, 8 * 1024 - 3) +
+      (colors ? '...\u001b[39m' : '...')
+  }
+
+  return `${timeStr} › ${msg}: ${infoText}`
+}
+
+/**
+ * @param {number} timestamp
+ */
+function shortFormateTime (timestamp) {
+  const date = new Date(timestamp)
+  const timeStr =
+    pad(date.getHours()) + '.' +
+    pad(date.getMinutes()) + '.' +
+    pad(date.getSeconds()) + '.' +
+    pad(date.getMilliseconds(), 3)
+
+  return timeStr
+}
+
+/**
+ * @param {number | string} number
+ * @param {number} [zeros]
+ */
+function pad (number, zeros) {
+  zeros = zeros || 0
+
+  let str = String(number)
+  while (str.length < zeros) {
+    str = '0' + str
+  }
+
+  return str
+}
+
+/** @param {string} text */
+function gray (text) {
+  return '\u001b[90m' + text + '\u001b[39m'
+}
+
+/** @param {string} text */
+function cyan (text) {
+  return '\u001b[36m' + text + '\u001b[39m'
+}
+
+/** @param {string} text */
+function red (text) {
+  return '\u001b[31m' + text + '\u001b[39m'
+}
+
+/** @param {string} text */
+function yellow (text) {
+  return '\u001b[33m' + text + '\u001b[39m'
+}
+
+/** @param {string} text */
+function green (text) {
+  return '\u001b[32m' + text + '\u001b[39m'
+}
+
+/** @param {string} text */
+function magenta (text) {
+  return '\u001b[35m' + text + '\u001b[39m'
+}
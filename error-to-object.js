@@ -0,0 +1,198 @@
+// @ts-check
+'use strict'
+
+/**
+ * Turns errors into plain objects for loglines. This module has no
+ * node dependencies so the renderer logger can use it too.
+ */
+
+// Nesting of errors and objects that gets serialized.
+const MAX_DEPTH = 8
+
+/**
+ * Same as in error.js, which we cannot require in the renderer.
+ */
+const PLAIN_ERROR_FIELDS = [
+  'code',
+  'errno',
+  'syscall',
+  'status',
+  'statusCode',
+  'time',
+  'hostname',
+  'region',
+  'requestId',
+  'retryable',
+  'description',
+  'path',
+  'actual',
+  'expected',
+  'operator'
+]
+
+/**
+ * @param {unknown} err
+ */
+function isError (err) {
+  if (typeof err !== 'object') {
+    return false
+  }
+
+  if (err instanceof Error) {
+    return true
+  }
+
+  while (err) {
+    if (Object.prototype.toString.call(err) === '[object Error]') {
+      return true
+    }
+
+    err = Object.getPrototypeOf(err)
+  }
+  return false
+}
+exports.isError = isError
+
+/**
+ * Turns an error into a plain object with its own `stack`, the
+ * PLAIN_ERROR_FIELDS of error.js and, when present, `info()` of
+ * SError and WError, the `cause` chain of WError and the `errors`
+ * of MultiError, each serialized the same way. Anything nested
+ * deeper than MAX_DEPTH is left out.
+ *
+ * @param {Error} err
+ * @param {number} [depth]
+ * @returns {Record<string, unknown>}
+ */
+function errorToObject (err, depth) {
+  depth = depth || 0
+
+  /** @type {Record<string, unknown>} */
+  const ret = {}
+  for (const key of Object.keys(err)) {
+    /** The internals of the error.js classes, see below. */
+    if (key.startsWith('__')) continue
+
+    ret[key] = serializeErrors(Reflect.get(err, key), depth + 1)
+  }
+
+  ret.name = err.name
+  ret.message = err.message
+  ret.type = Reflect.get(err, 'type')
+  ret.stack = err.stack
+
+  for (const field of PLAIN_ERROR_FIELDS) {
+    const value = Reflect.get(err, field)
+    if (value !== undefined && !(field in ret)) {
+      ret[field] = value
+    }
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return ret
+  }
+
+  const info = callMethod(err, 'info')
+  if (typeof info === 'object' && info !== null &&
+    Object.keys(info).length > 0
+  ) {
+    ret.info = serializeErrors(info, depth + 1)
+  }
+
+  /** WError has cause(), native errors may have a cause property. */
+  const cause = typeof Reflect.get(err, 'cause') === 'function'
+    ? callMethod(err, 'cause') : Reflect.get(err, 'cause')
+  if (isError(cause)) {
+    ret.cause = errorToObject(/** @type {Error} */ (cause), depth + 1)
+  }
+
+  /** MultiError has errors(), AggregateError an errors property. */
+  const errors = typeof Reflect.get(err, 'errors') === 'function'
+    ? callMethod(err, 'errors') : Reflect.get(err, 'errors')
+  if (Array.isArray(errors)) {
+    const errorsDepth = depth + 1
+    ret.errors = errors.map((e) => serializeErrors(e, errorsDepth))
+  }
+
+  return ret
+}
+exports.errorToObject = errorToObject
+
+/**
+ * Replaces the errors in `value`, also those nested in arrays and
+ * plain objects, with `errorToObject()`. The objects on the way
+ * to an error are copied, `value` itself is never modified.
+ *
+ * @param {unknown} value
+ * @param {number} [depth]
+ * @returns {unknown}
+ */
+function serializeErrors (value, depth) {
+  depth = depth || 0
+
+  if (typeof value !== 'object' || value === null) {
+    return value
+  }
+  if (isError(value)) {
+    return errorToObject(/** @type {Error} */ (value), depth)
+  }
+  if (depth >= MAX_DEPTH) {
+    return value
+  }
+
+  if (Array.isArray(value)) {
+    /** @type {unknown[] | null} */
+    let copy = null
+    for (let i = 0; i < value.length; i++) {
+      const v = serializeErrors(value[i], depth + 1)
+      if (v !== value[i]) {
+        copy = copy || value.slice()
+        copy[i] = v
+      }
+    }
+    return copy || value
+  }
+
+  const proto = Object.getPrototypeOf(value)
+  if (proto !== Object.prototype && proto !== null) {
+    return value
+  }
+
+  /** @type {Record<string, unknown> | null} */
+  let copy = null
+  try {
+    for (const key of Object.keys(value)) {
+      const original = Reflect.get(value, key)
+      const v = serializeErrors(original, depth + 1)
+      if (v !== original) {
+        copy = copy || { ...value }
+        copy[key] = v
+      }
+    }
+  } catch (_) {
+    /** A getter threw, the logger makes that serializable later. */
+    return value
+  }
+  return copy || value
+}
+exports.serializeErrors = serializeErrors
+
+/**
+ * A broken info(), cause() or errors() must not break logging.
+ *
+ * @param {Error} err
+ * @param {string} name
+ * @returns {unknown}
+ */
+function callMethod (err, name) {
+  const method = Reflect.get(err, name)
+  if (typeof method !== 'function') {
+    return undefined
+  }
+
+  try {
+    return method.call(err)
+  } catch (_) {
+    return undefined
+  }
+}
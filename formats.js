@@ -0,0 +1,186 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+/**
+ * @typedef {(logLine: Record<string, unknown>) => string} Formatter
+ * @typedef {'ndjson' | 'logfmt' | 'text' | Formatter} Format
+ */
+
+/** Keys of the text format that are part of the line itself. */
+const TEXT_KEYS = ['name', 'hostname', 'pid', 'level', 'msg', 'time', 'v']
+
+const FORMATS = {
+  ndjson: formatNDJSON,
+  logfmt: formatLogfmt,
+  text: formatText
+}
+
+/**
+ * Returns the function that turns a logline into one line of the
+ * log file. Anything but ndjson gets its line breaks escaped, the
+ * logger relies on every logline being exactly one line when it
+ * counts and truncates lines.
+ *
+ * @param {Format} [format]
+ * @returns {Formatter}
+ */
+function createFormatter (format) {
+  if (!format || format === 'ndjson') {
+    return formatNDJSON
+  }
+
+  const formatter = typeof format === 'function'
+    ? format : Reflect.get(FORMATS, format)
+  assert(typeof formatter === 'function',
+    'options.formatter must be "ndjson", "logfmt", "text" or a function')
+
+  return (logLine) => {
+    return toSingleLine(String(formatter(logLine)))
+  }
+}
+exports.createFormatter = createFormatter
+
+/**
+ * The default, one JSON object per line that `LogReader` and the
+ * command line can read back.
+ *
+ * @param {Record<string, unknown>} logLine
+ */
+function formatNDJSON (logLine) {
+  return JSON.stringify(logLine)
+}
+exports.formatNDJSON = formatNDJSON
+
+/**
+ * Writes `key=value` pairs, e.g.
+ *
+ *     level=info msg="request done" time=... status=200 user.id=4
+ *
+ * The fields come right after the keys of the logline, nested
+ * objects flattened to dotted keys and arrays as JSON. A field
+ * named like a key of the logline keeps its `fields.` prefix.
+ *
+ * @param {Record<string, unknown>} logLine
+ */
+function formatLogfmt (logLine) {
+  /** @type {string[]} */
+  const pairs = []
+  const keys = Object.keys(logLine)
+
+  for (const key of keys) {
+    if (key !== 'fields') {
+      pushPair(pairs, key, logLine[key])
+    }
+  }
+
+  const fields = logLine.fields
+  if (isPlainObject(fields)) {
+    /** @type {[string, unknown][]} */
+    const flat = []
+    flatten(/** @type {Record<string, unknown>} */ (fields), '', flat)
+
+    for (const [key, value] of flat) {
+      pushPair(pairs, keys.includes(key) ? 'fields.' + key : key, value)
+    }
+  } else {
+    pushPair(pairs, 'fields', fields)
+  }
+
+  return pairs.join(' ')
+}
+exports.formatLogfmt = formatLogfmt
+
+/**
+ * Writes a line for humans, e.g.
+ *
+ *     2020-01-01T00:00:00.000Z INFO  my-app[123]: request done {"status":200}
+ *
+ * Keys the logline has on top, like `repeat`, follow as logfmt.
+ *
+ * @param {Record<string, unknown>} logLine
+ */
+function formatText (logLine) {
+  const level = String(logLine.level).toUpperCase().padEnd(5, ' ')
+  let line = `${logLine.time} ${level} ${logLine.name}[${logLine.pid}]: ` +
+    `${logLine.msg}`
+
+  const fields = logLine.fields
+  if (isPlainObject(fields) &&
+    Object.keys(/** @type {object} */ (fields)).length > 0
+  ) {
+    line += ' ' + JSON.stringify(fields)
+  }
+
+  /** @type {string[]} */
+  const pairs = []
+  for (const key of Object.keys(logLine)) {
+    if (key !== 'fields' && !TEXT_KEYS.includes(key)) {
+      pushPair(pairs, key, logLine[key])
+    }
+  }
+
+  return pairs.length > 0 ? line + ' ' + pairs.join(' ') : line
+}
+exports.formatText = formatText
+
+/**
+ * @param {string[]} pairs
+ * @param {string} key
+ * @param {unknown} value
+ */
+function pushPair (pairs, key, value) {
+  if (value === undefined) {
+    return
+  }
+  pairs.push(`${key}=${logfmtValue(value)}`)
+}
+
+/**
+ * @param {unknown} value
+ */
+function logfmtValue (value) {
+  if (value === null || typeof value === 'number' ||
+    typeof value === 'boolean'
+  ) {
+    return String(value)
+  }
+
+  const str = typeof value === 'string' ? value : JSON.stringify(value)
+  return str === '' || /[\s="\\]|[^\x20-\x7e]/.test(str)
+    ? JSON.stringify(str) : str
+}
+
+/**
+ * @param {Record<string, unknown>} obj
+ * @param {string} prefix
+ * @param {[string, unknown][]} flat
+ */
+function flatten (obj, prefix, flat) {
+  for (const key of Object.keys(obj)) {
+    const value = obj[key]
+    const path = prefix + key
+
+    if (isPlainObject(value)) {
+      flatten(/** @type {Record<string, unknown>} */ (value), path + '.', flat)
+    } else {
+      flat.push([path, value])
+    }
+  }
+}
+
+/**
+ * @param {unknown} value
+ */
+function isPlainObject (value) {
+  return typeof value === 'object' && value !== null &&
+    !Array.isArray(value)
+}
+
+/**
+ * @param {string} str
+ */
+function toSingleLine (str) {
+  return str.replace(/\r/g, '\\r').replace(/\n/g, '\\n')
+}
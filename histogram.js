@@ -0,0 +1,59 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+/**
+ * Counts values into buckets with fixed upper bounds, like the
+ * latency of flushes in ms. Values above the last bound go into
+ * the '+Inf' bucket.
+ */
+class Histogram {
+  /**
+   * @param {number[]} bounds
+   */
+  constructor (bounds) {
+    assert(bounds.length > 0 && bounds.every((b, i) => {
+      return i === 0 || b > bounds[i - 1]
+    }), 'bounds must be increasing')
+
+    this.bounds = bounds
+    this.counts = new Array(bounds.length + 1).fill(0)
+    this.count = 0
+    this.sum = 0
+    this.max = 0
+  }
+
+  /**
+   * @param {number} value
+   */
+  record (value) {
+    let index = 0
+    while (index < this.bounds.length && value > this.bounds[index]) {
+      index++
+    }
+
+    this.counts[index]++
+    this.count++
+    this.sum += value
+    if (value > this.max) this.max = value
+  }
+
+  toJSON () {
+    /** @type {Record<string, number>} */
+    const buckets = {}
+    for (let i = 0; i < this.bounds.length; i++) {
+      buckets[String(this.bounds[i])] = this.counts[i]
+    }
+    buckets['+Inf'] = this.counts[this.bounds.length]
+
+    return {
+      count: this.count,
+      sum: this.sum,
+      max: this.max,
+      buckets: buckets
+    }
+  }
+}
+
+module.exports = Histogram
@@ -1,21 +1,38 @@
 // @ts-check
 'use strict'
 
-const util = require('util')
 const assert = require('assert')
 
 const AppendOnlyFSLogger = require('./append-fs-logger.js')
+const LogReader = require('./reader.js')
+const { LEVELS, isLevel } = require('./levels.js')
+const { isError, serializeErrors } = require('./error-to-object.js')
+const RendererLogger = require('./renderer-logger.js')
+const RateLimiter = require('./rate-limiter.js')
+const { wrapf } = require('./error.js')
+const { green, magenta } = require('./console-format.js')
+const {
+  FileSink, ConsoleSink, RingBufferSink, isSink
+} = require('./sinks.js')
+
+const IPC_CHANNEL = RendererLogger.IPC_CHANNEL
+
+/**
+ * @typedef {(event: unknown, payload: unknown) => void} IPCListener
+ */
 
 class MainLogger {
   /**
    * @param {string} productName
-   * @param {{
-   *    fileName: string,
+   * @param {import('./append-fs-logger.js').FSLoggerOptions & {
    *    shortName?: string,
    *    console?: boolean,
    *    prefix?: string,
    *    isMain?: boolean,
-   *    onError?: (err: Error) => void
+   *    level?: import('./levels.js').Level,
+   *    sinks?: import('./sinks.js').Sink[],
+   *    ringBuffer?: { maxLines?: number, maxBytes?: number },
+   *    rateLimit?: import('./rate-limiter.js').RateLimitOptions
    * }} options
    */
   constructor (productName, options) {
@@ -23,9 +40,19 @@ class MainLogger {
     assert(options.fileName, 'options.fileName required')
     assert(!options.shortName || options.shortName.length <= 7,
       'options.shortName must be 7 char or less')
+    assert(!options.level || isLevel(options.level),
+      'options.level must be one of ' + Object.keys(LEVELS).join(', '))
+    assert(!options.sinks || (
+      Array.isArray(options.sinks) && options.sinks.every(isSink)
+    ), 'options.sinks must be an array of sinks')
 
     this.fsLogger = new AppendOnlyFSLogger(productName, options)
 
+    // Loglines below this level are dropped before serializing.
+    /** @type {import('./levels.js').Level} */
+    this.level = options.level || 'info'
+    this.minLevel = LEVELS[this.level]
+
     this.console = options.console || false
     this.shortName = options.shortName
       ? options.shortName.padStart(7, ' ') : ''
@@ -40,16 +67,263 @@ class MainLogger {
     const renderPrefix = this.shortName
       ? `${this.shortName}:rend` : 'rend'
     this.renderPrefix = magenta(renderPrefix) + ' '
+
+    // The log file, its write promise is what the level methods return.
+    this.fileSink = new FileSink(this.fsLogger)
+    // Every other destination for loglines, like the console.
+    /** @type {import('./sinks.js').Sink[]} */
+    this.sinks = []
+    if (this.console) {
+      this.sinks.push(new ConsoleSink())
+    }
+    if (options.sinks) {
+      this.sinks.push(...options.sinks)
+    }
+
+    // The most recent loglines in memory, for crash reports.
+    this.ringBuffer = options.ringBuffer
+      ? new RingBufferSink(options.ringBuffer) : null
+    if (this.ringBuffer) {
+      this.sinks.push(this.ringBuffer)
+    }
+
+    // Drops loglines of hot callsites, see options.rateLimit.
+    this.rateLimiter = options.rateLimit
+      ? new RateLimiter(options.rateLimit, (suppressed) => {
+        this._logSuppressed(suppressed)
+      })
+      : null
+  }
+
+  /**
+   * Opens the log file and then the sinks passed in options.sinks.
+   *
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async open () {
+    const { err } = await this.fileSink.open()
+    if (err) return { err: err }
+
+    for (const sink of this.sinks) {
+      if (!sink.open) continue
+
+      const { err: sinkErr } = await sink.open()
+      if (sinkErr) return { err: sinkErr }
+    }
+
+    return {}
+  }
+
+  /**
+   * Writes the pending loglines of every sink.
+   */
+  async flush () {
+    await Promise.all([this.fileSink, ...this.sinks].map((sink) => {
+      return sink.flush ? sink.flush() : null
+    }))
+  }
+
+  /**
+   * Flushes and closes every sink, the first error is returned.
+   *
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async close () {
+    if (this.rateLimiter) {
+      this.rateLimiter.flushSummary()
+    }
+
+    /** @type {Error | null} */
+    let firstErr = null
+    for (const sink of [...this.sinks, this.fileSink]) {
+      if (!sink.close) continue
+
+      const { err } = await sink.close()
+      if (err && !firstErr) firstErr = err
+    }
+
+    return firstErr ? { err: firstErr } : {}
   }
 
-  open () {
-    return this.fsLogger.open()
+  /**
+   * Adds a sink, for example a second file with only errors. The
+   * sink must already be open. Returns a function that removes the
+   * sink again.
+   *
+   * @param {import('./sinks.js').Sink} sink
+   * @returns {() => void}
+   */
+  addSink (sink) {
+    assert(isSink(sink), 'addSink(sink); sink must have a write method')
+
+    this.sinks.push(sink)
+    return () => {
+      const index = this.sinks.indexOf(sink)
+      if (index !== -1) this.sinks.splice(index, 1)
+    }
   }
 
   destroy () {
     return this.fsLogger.destroy()
   }
 
+  /**
+   * How long open() took, see AppendOnlyFSLogger#getOpenTiming().
+   */
+  getOpenTiming () {
+    return this.fsLogger.getOpenTiming()
+  }
+
+  /**
+   * Counters about the health of logging itself, for a diagnostics
+   * page. See AppendOnlyFSLogger#getStats(), plus the loglines
+   * suppressed by `options.rateLimit`.
+   */
+  getStats () {
+    return {
+      ...this.fsLogger.getStats(),
+      suppressedLines: this.rateLimiter
+        ? this.rateLimiter.totalSuppressed : 0
+    }
+  }
+
+  /**
+   * Returns the most recent loglines from `options.ringBuffer`,
+   * see RingBufferSink#getRecent().
+   *
+   * @param {{
+   *    level?: import('./levels.js').Level,
+   *    limit?: number
+   * }} [options]
+   */
+  getRecent (options) {
+    return this.ringBuffer ? this.ringBuffer.getRecent(options) : []
+  }
+
+  /**
+   * Returns the loglines of `options.ringBuffer` as newline
+   * delimited JSON, see RingBufferSink#dump().
+   */
+  dump () {
+    return this.ringBuffer ? this.ringBuffer.dump() : ''
+  }
+
+  /**
+   * Writes pending loglines synchronously, see
+   * AppendOnlyFSLogger#flushSync().
+   */
+  flushSync () {
+    return this.fsLogger.flushSync()
+  }
+
+  /**
+   * Opt-in process handlers so that the loglines that explain a
+   * crash reach the disk.
+   *
+   * On 'uncaughtException' and 'unhandledRejection' the error is
+   * logged as fatal and flushed synchronously. If nobody else
+   * listens to the event the error is printed and the process
+   * exits with code 1, just like node does by default. On 'exit'
+   * the pending loglines are flushed synchronously.
+   *
+   * Returns a function that removes the handlers again.
+   *
+   * @returns {() => void}
+   */
+  installExitHandlers () {
+    const onExit = () => {
+      this._flushSyncOrWarn(true)
+    }
+
+    /** @param {Error} err */
+    const onUncaughtException = (err) => {
+      this._logFatal('uncaught exception', err)
+      exitIfUnhandled('uncaughtException', onUncaughtException, err)
+    }
+
+    /** @param {unknown} reason */
+    const onUnhandledRejection = (reason) => {
+      this._logFatal('unhandled rejection', reason)
+      exitIfUnhandled('unhandledRejection', onUnhandledRejection, reason)
+    }
+
+    process.on('exit', onExit)
+    process.on('uncaughtException', onUncaughtException)
+    process.on('unhandledRejection', onUnhandledRejection)
+
+    return () => {
+      process.removeListener('exit', onExit)
+      process.removeListener('uncaughtException', onUncaughtException)
+      process.removeListener('unhandledRejection', onUnhandledRejection)
+    }
+  }
+
+  /**
+   * @param {string} msg
+   * @param {unknown} reason
+   */
+  _logFatal (msg, reason) {
+    if (this.fsLogger.hasOpened) {
+      this.fatal(msg, isError(reason)
+        ? { err: reason }
+        : { reason: String(reason) }
+      )
+    }
+
+    this._flushSyncOrWarn()
+  }
+
+  /**
+   * @param {boolean} [exiting] Also give up the lock of a shared
+   *    log file; process.exit() in exitIfUnhandled() gets here too.
+   */
+  _flushSyncOrWarn (exiting) {
+    if (this.rateLimiter && this.fsLogger.hasOpened) {
+      this.rateLimiter.flushSummary()
+    }
+
+    const { err } = this.fsLogger.flushSync({ exiting: exiting })
+    if (err) {
+      this.fsLogger.onError(err)
+    }
+  }
+
+  /**
+   * Change the minimum level at runtime, for example from a
+   * "verbose logging" toggle.
+   *
+   * @param {import('./levels.js').Level} level
+   */
+  setLevel (level) {
+    assert(isLevel(level),
+      'level must be one of ' + Object.keys(LEVELS).join(', '))
+
+    this.level = level
+    this.minLevel = LEVELS[level]
+  }
+
+  getLevel () {
+    return this.level
+  }
+
+  /**
+   * Returns a logger that adds the bound fields to every logline.
+   * It shares the file descriptor, write queue and level with
+   * this logger.
+   *
+   * @param {Record<string, unknown>} fields
+   * @param {{ prefix?: string }} [options]
+   * @returns {ChildLogger}
+   */
+  child (fields, options) {
+    assert(fields && typeof fields === 'object',
+      'child(fields); fields must be object')
+
+    return new ChildLogger(
+      this, { ...fields }, childPrefix(this.prefix, options)
+    )
+  }
+
   /**
    * Utility method for writing logs from renderer process
    * to the main logger.
@@ -63,14 +337,83 @@ class MainLogger {
     this._log(level, msg, info, timestamp, this.renderPrefix)
   }
 
+  /**
+   * Registers the main process side of RendererLogger on `ipcMain`,
+   * or anything with the same on() and removeListener() methods.
+   *
+   * Returns a function that removes the handler again.
+   *
+   * @param {{
+   *    on: (channel: string, listener: IPCListener) => unknown,
+   *    removeListener: (channel: string, listener: IPCListener) => unknown
+   * }} ipcMain
+   * @returns {() => void}
+   */
+  registerIPCHandler (ipcMain) {
+    /** @type {IPCListener} */
+    const onLog = (_event, payload) => {
+      const { err } = this.handleIPC(payload)
+      if (err) {
+        this.fsLogger.onError(err)
+      }
+    }
+
+    ipcMain.on(IPC_CHANNEL, onLog)
+    return () => {
+      ipcMain.removeListener(IPC_CHANNEL, onLog)
+    }
+  }
+
+  /**
+   * Logs the loglines sent by a RendererLogger. The payload comes
+   * from another process so it is validated line by line; invalid
+   * lines are skipped and reported in the returned error.
+   *
+   * @param {unknown} payload
+   * @returns {{ err?: Error }}
+   */
+  handleIPC (payload) {
+    const lines = typeof payload === 'object' && payload !== null
+      ? Reflect.get(payload, 'lines') : undefined
+    if (!Array.isArray(lines)) {
+      return {
+        err: new Error('handleIPC(payload); payload.lines must be array')
+      }
+    }
+
+    let invalidLines = 0
+    for (const line of lines) {
+      if (!isIPCLogLine(line)) {
+        invalidLines++
+        continue
+      }
+
+      this.logIPC(
+        line.level, line.msg,
+        /** @type {Record<string, unknown>} */ (line.info),
+        line.timestamp
+      )
+    }
+
+    if (invalidLines > 0) {
+      return {
+        err: new Error(
+          `handleIPC(payload); skipped ${invalidLines} invalid lines`
+        )
+      }
+    }
+    return {}
+  }
+
   /**
    * @param {string} level
    * @param {string} msg
    * @param {Record<string, unknown>} info
    * @param {number} timestamp
    * @param {string} prefix
+   * @param {Record<string, unknown>} [boundFields]
    */
-  _log (level, msg, info, timestamp, prefix) {
+  _log (level, msg, info, timestamp, prefix, boundFields) {
     if (!this.fsLogger.hasOpened) {
       throw new Error('Must call open() first.')
     }
@@ -81,58 +424,130 @@ class MainLogger {
     if (info && typeof info !== 'object') {
       throw new Error(level + '(msg, info); info must be object')
     }
+    if (!isLevel(level)) {
+      throw new Error(level + '(msg); unknown level')
+    }
 
-    if (info) {
-      for (const k of Object.keys(info)) {
-        if (isError(info[k])) {
-          info[k] = errorToObject(
-            /** @type {Error} */ (info[k])
-          )
-        }
-      }
+    /** Skip the filtered lines before doing any work. */
+    if (LEVELS[level] < this.minLevel) {
+      return null
     }
 
-    if (this.console) {
-      this._logConsole(level, msg, info, timestamp, prefix)
+    if (this.rateLimiter &&
+      !this.rateLimiter.allow(level, msg, Date.now())) {
+      return null
+    }
+
+    /** Fields passed at the callsite win over bound fields. */
+    if (boundFields) {
+      info = { ...boundFields, ...info }
     }
 
-    return this.fsLogger._write(level, msg, info, timestamp)
+    return this._emit(level, msg, info, timestamp, prefix)
   }
 
   /**
-   * @param {string} level
+   * Writes one summary logline per msg that got suppressed by
+   * `options.rateLimit`. The summaries themselves are never
+   * suppressed.
+   *
+   * @param {import('./rate-limiter.js').Suppressed[]} suppressed
+   */
+  _logSuppressed (suppressed) {
+    for (const entry of suppressed) {
+      this._emit('warn', 'suppressed log lines', {
+        suppressedMsg: entry.msg,
+        level: entry.level,
+        count: entry.count
+      }, Date.now(), this.prefix)
+    }
+  }
+
+  /**
+   * @param {import('./levels.js').Level} level
    * @param {string} msg
-   * @param {object} info
+   * @param {Record<string, unknown>} info
    * @param {number} timestamp
    * @param {string} prefix
    */
-  _logConsole (level, msg, info, timestamp, prefix) {
-    let timeStr = shortFormateTime(timestamp)
+  _emit (level, msg, info, timestamp, prefix) {
+    /**
+     * Building the logline runs the sanitizer and the redactor on
+     * fields we know nothing about; like a failed write, whatever
+     * throws there goes to `onError` and not to the caller.
+     */
+    try {
+      if (info) {
+        info = /** @type {Record<string, unknown>} */ (serializeErrors(info))
+      }
 
-    timeStr = level === 'info'
-      ? cyan(timeStr) : level === 'warn'
-        ? yellow(timeStr) : level === 'error'
-          ? red(timeStr) : timeStr
+      /** Every sink gets the same, already redacted, logline. */
+      const logLine = this.fsLogger.createLogLine(level, msg, info, timestamp)
+      const context = { prefix: prefix, timestamp: timestamp }
 
-    let infoText = info ? util.inspect(info, {
-      breakLength: 65,
-      colors: true,
-      depth: 4
-    }) : '{}'
+      for (const sink of this.sinks) {
+        if (sink.level && LEVELS[level] < LEVELS[sink.level]) {
+          continue
+        }
+        this._writeSink(sink, logLine, context)
+      }
 
-    if (infoText.length > 8 * 1024) {
-      infoText = infoText.slice(0, 8 * 1024 - 3) + '...\u001b[39m'
+      return this.fileSink.write(logLine)
+    } catch (unexpectedError) {
+      this.fsLogger.onError(wrapf(
+        '_emit() threw an unexpected exception', unexpectedError, {
+          productName: this.fsLogger.productName,
+          logFileLocation: this.fsLogger.logFileLocation
+        }
+      ))
+      return null
     }
+  }
 
-    const consoleLogText = `${timeStr} › ${msg}: ${infoText}`
+  /**
+   * A broken sink must not break logging to the other sinks, so
+   * its errors go to `onError`.
+   *
+   * @param {import('./sinks.js').Sink} sink
+   * @param {import('./sinks.js').LogLine} logLine
+   * @param {import('./sinks.js').SinkContext} context
+   */
+  _writeSink (sink, logLine, context) {
+    /** @param {Error} err */
+    const onError = (err) => {
+      this.fsLogger.onError(wrapf(
+        'sink.write() threw an unexpected exception', err, {
+          productName: this.fsLogger.productName
+        }
+      ))
+    }
 
-    if (level === 'error') {
-      console.error(prefix + consoleLogText)
-    } else {
-      console.log(prefix + consoleLogText)
+    try {
+      const r = sink.write(logLine, context)
+      if (r instanceof Promise) {
+        r.then(null, onError)
+      }
+    } catch (err) {
+      onError(err)
     }
   }
 
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  trace (msg, info) {
+    return this._log('trace', msg, info, Date.now(), this.prefix)
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  debug (msg, info) {
+    return this._log('debug', msg, info, Date.now(), this.prefix)
+  }
+
   /**
    * @param {string} msg
    * @param {Record<string, unknown>} info
@@ -156,112 +571,163 @@ class MainLogger {
   error (msg, info) {
     return this._log('error', msg, info, Date.now(), this.prefix)
   }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  fatal (msg, info) {
+    return this._log('fatal', msg, info, Date.now(), this.prefix)
+  }
 }
 
-MainLogger.LogLine = AppendOnlyFSLogger.LogLine
-module.exports = MainLogger
+class ChildLogger {
+  /**
+   * @param {MainLogger} root
+   * @param {Record<string, unknown>} fields
+   * @param {string} prefix
+   */
+  constructor (root, fields, prefix) {
+    this.root = root
+    this.fields = fields
+    this.prefix = prefix
+  }
 
-/**
- * @param {unknown} err
- */
-function isError (err) {
-  if (typeof err !== 'object') {
-    return false
+  /**
+   * @param {Record<string, unknown>} fields
+   * @param {{ prefix?: string }} [options]
+   * @returns {ChildLogger}
+   */
+  child (fields, options) {
+    assert(fields && typeof fields === 'object',
+      'child(fields); fields must be object')
+
+    return new ChildLogger(
+      this.root,
+      { ...this.fields, ...fields },
+      childPrefix(this.prefix, options)
+    )
   }
 
-  if (err instanceof Error) {
-    return true
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  trace (msg, info) {
+    return this.root._log(
+      'trace', msg, info, Date.now(), this.prefix, this.fields
+    )
   }
 
-  while (err) {
-    if (Object.prototype.toString.call(err) === '[object Error]') {
-      return true
-    }
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  debug (msg, info) {
+    return this.root._log(
+      'debug', msg, info, Date.now(), this.prefix, this.fields
+    )
+  }
 
-    err = Object.getPrototypeOf(err)
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  info (msg, info) {
+    return this.root._log(
+      'info', msg, info, Date.now(), this.prefix, this.fields
+    )
   }
-  return false
-}
 
-/**
- * @param {Error} e
- */
-function stackToString (e) {
-  let stack = e.stack
-  let causeError
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  warn (msg, info) {
+    return this.root._log(
+      'warn', msg, info, Date.now(), this.prefix, this.fields
+    )
+  }
 
-  if (typeof Reflect.get(e, 'cause') === 'function') {
-    const werr = /** @type {import('./error').WError} */ (e)
-    causeError = werr.cause()
-    stack += '\nCaused by: ' + stackToString(causeError)
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  error (msg, info) {
+    return this.root._log(
+      'error', msg, info, Date.now(), this.prefix, this.fields
+    )
   }
 
-  return stack
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} info
+   */
+  fatal (msg, info) {
+    return this.root._log(
+      'fatal', msg, info, Date.now(), this.prefix, this.fields
+    )
+  }
 }
 
-/**
- * @param {Error} err
- */
-function errorToObject (err) {
-  /** @type {Error & { type?: string }} */
-  const ret = { ...err }
-  ret.name = err.name
-  ret.message = err.message
-  ret.type = Reflect.get(err, 'type')
-  ret.stack = stackToString(err)
-  return ret
-}
+MainLogger.LogLine = AppendOnlyFSLogger.LogLine
+MainLogger.ChildLogger = ChildLogger
+MainLogger.FileSink = FileSink
+MainLogger.ConsoleSink = ConsoleSink
+MainLogger.RingBufferSink = RingBufferSink
+MainLogger.AppendOnlyFSLogger = AppendOnlyFSLogger
+MainLogger.LogReader = LogReader
+MainLogger.RendererLogger = RendererLogger
+MainLogger.IPC_CHANNEL = IPC_CHANNEL
+MainLogger.LEVELS = LEVELS
+MainLogger.rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+module.exports = MainLogger
 
 /**
- * @param {number} timestamp
+ * Only exit when our handler is the last one for the event,
+ * otherwise leave the decision to the application.
+ *
+ * @param {'uncaughtException' | 'unhandledRejection'} event
+ * @param {Function} handler
+ * @param {unknown} reason
  */
-function shortFormateTime (timestamp) {
-  const date = new Date(timestamp)
-  const timeStr =
-    pad(date.getHours()) + '.' +
-    pad(date.getMinutes()) + '.' +
-    pad(date.getSeconds()) + '.' +
-    pad(date.getMilliseconds(), 3)
-
-  return timeStr
+function exitIfUnhandled (event, handler, reason) {
+  const listeners = process.listeners(
+    /** @type {'uncaughtException'} */ (event)
+  )
+  if (listeners.some((l) => l !== handler)) {
+    return
+  }
+
+  console.error(reason)
+  process.exit(1)
 }
 
 /**
- * @param {number | string} number
- * @param {number} [zeros]
+ * @param {string} prefix
+ * @param {{ prefix?: string }} [options]
  */
-function pad (number, zeros) {
-  zeros = zeros || 0
-
-  let str = String(number)
-  while (str.length < zeros) {
-    str = '0' + str
+function childPrefix (prefix, options) {
+  if (!options || !options.prefix) {
+    return prefix
   }
 
-  return str
-}
-
-/** @param {string} text */
-function cyan (text) {
-  return '\u001b[36m' + text + '\u001b[39m'
-}
-
-/** @param {string} text */
-function red (text) {
-  return '\u001b[31m' + text + '\u001b[39m'
+  return prefix + options.prefix + ' '
 }
 
-/** @param {string} text */
-function yellow (text) {
-  return '\u001b[33m' + text + '\u001b[39m'
-}
-
-/** @param {string} text */
-function green (text) {
-  return '\u001b[32m' + text + '\u001b[39m'
-}
+/**
+ * @param {unknown} line
+ * @returns {line is import('./renderer-logger.js').IPCLogLine}
+ */
+function isIPCLogLine (line) {
+  if (typeof line !== 'object' || line === null) {
+    return false
+  }
 
-/** @param {string} text */
-function magenta (text) {
-  return '\u001b[35m' + text + '\u001b[39m'
+  const { level, msg, info, timestamp } =
+    /** @type {Record<string, unknown>} */ (line)
+  return isLevel(level) &&
+    typeof msg === 'string' && msg.length > 0 &&
+    (info === null || (typeof info === 'object' && !Array.isArray(info))) &&
+    typeof timestamp === 'number' && Number.isFinite(timestamp)
 }
@@ -0,0 +1,29 @@
+// @ts-check
+'use strict'
+
+/**
+ * The numeric values follow bunyan so that existing tooling that
+ * understands bunyan levels can sort and filter our loglines.
+ */
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60
+}
+
+/** @typedef {keyof LEVELS} Level */
+
+exports.LEVELS = LEVELS
+exports.isLevel = isLevel
+
+/**
+ * @param {unknown} level
+ * @returns {level is Level}
+ */
+function isLevel (level) {
+  return typeof level === 'string' &&
+    Object.prototype.hasOwnProperty.call(LEVELS, level)
+}
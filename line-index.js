@@ -0,0 +1,120 @@
+// @ts-check
+'use strict'
+
+const INITIAL_CAPACITY = 1024
+
+/**
+ * The offsets of the new line characters in the log file, in
+ * increasing order.
+ *
+ * Offsets live in a growable ring of doubles, so appending is O(1),
+ * dropping the first lines on truncation is O(1) and finding the
+ * truncation point is a binary search. Instead of rewriting every
+ * offset on truncation we remember by how much they moved.
+ */
+class LineIndex {
+  constructor () {
+    this.buffer = new Float64Array(INITIAL_CAPACITY)
+    // Index in `buffer` of the first offset.
+    this.start = 0
+    // Number of offsets in the ring.
+    this.count = 0
+    // Amount to subtract from stored values to get file offsets.
+    this.shift = 0
+  }
+
+  get length () {
+    return this.count
+  }
+
+  /**
+   * @param {number} offset
+   */
+  push (offset) {
+    if (this.count === this.buffer.length) {
+      this._grow()
+    }
+
+    const index = (this.start + this.count) % this.buffer.length
+    this.buffer[index] = offset + this.shift
+    this.count++
+  }
+
+  /**
+   * @param {number} index
+   */
+  get (index) {
+    if (index < 0 || index >= this.count) {
+      return undefined
+    }
+
+    return this.buffer[(this.start + index) % this.buffer.length] -
+      this.shift
+  }
+
+  clear () {
+    this.start = 0
+    this.count = 0
+    this.shift = 0
+  }
+
+  /**
+   * Forgets the first `count` offsets and moves the remaining ones
+   * back by `position` bytes, after the start of the file has been
+   * cut off.
+   *
+   * @param {number} count
+   * @param {number} position
+   */
+  dropFirst (count, position) {
+    count = Math.min(count, this.count)
+
+    this.start = (this.start + count) % this.buffer.length
+    this.count -= count
+    this.shift += position
+
+    if (this.count === 0) {
+      this.clear()
+    }
+  }
+
+  /**
+   * Returns the index of the first offset larger than `offset`, or
+   * -1 if there is none.
+   *
+   * @param {number} offset
+   */
+  findFirstAfter (offset) {
+    let low = 0
+    let high = this.count
+
+    while (low < high) {
+      const mid = (low + high) >>> 1
+      if (/** @type {number} */ (this.get(mid)) > offset) {
+        high = mid
+      } else {
+        low = mid + 1
+      }
+    }
+
+    return low === this.count ? -1 : low
+  }
+
+  * [Symbol.iterator] () {
+    for (let i = 0; i < this.count; i++) {
+      yield /** @type {number} */ (this.get(i))
+    }
+  }
+
+  _grow () {
+    const buffer = new Float64Array(this.buffer.length * 2)
+    for (let i = 0; i < this.count; i++) {
+      buffer[i] = this.buffer[(this.start + i) % this.buffer.length]
+    }
+
+    this.buffer = buffer
+    this.start = 0
+  }
+}
+
+module.exports = LineIndex
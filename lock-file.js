@@ -0,0 +1,205 @@
+// @ts-check
+'use strict'
+
+const fs = require('fs')
+const assert = require('assert')
+
+const { wrapf } = require('./error.js')
+const { resultify } = require('./resultify.js')
+
+const open = resultify(fs.open)
+const write = resultify(fs.write)
+const close = resultify(fs.close)
+const stat = resultify(fs.stat)
+const unlink = resultify(fs.unlink)
+
+const LOCK_STALE_MS = 10 * 1000
+const LOCK_TIMEOUT_MS = 5 * 1000
+const MIN_RETRY_MS = 2
+const MAX_RETRY_MS = 50
+
+/**
+ * @typedef {{
+ *    staleMs?: number,
+ *    timeoutMs?: number
+ * }} LockFileOptions
+ */
+
+/**
+ * A lock shared between processes. Holding the lock means having
+ * created the lock file; `open(fileName, 'wx')` fails with EEXIST
+ * for everyone else until the holder unlinks it again.
+ *
+ * A process that crashes while holding the lock leaves the file
+ * behind, so a lock file older than `staleMs` gets removed, see
+ * `_removeStale()`.
+ */
+class LockFile {
+  /**
+   * @param {string} fileName
+   * @param {LockFileOptions} [options]
+   */
+  constructor (fileName, options) {
+    assert(fileName, 'fileName required')
+    const opts = options || {}
+
+    this.fileName = fileName
+    this.staleMs = opts.staleMs || LOCK_STALE_MS
+    this.timeoutMs = opts.timeoutMs || LOCK_TIMEOUT_MS
+
+    this.isLocked = false
+  }
+
+  /**
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async acquire () {
+    assert(!this.isLocked, 'Cannot acquire lock twice')
+
+    const deadline = Date.now() + this.timeoutMs
+    let retryMs = MIN_RETRY_MS
+
+    while (true) {
+      const { err: openErr, data: fd } = await open(this.fileName, 'wx')
+      if (!openErr) {
+        /** The pid is only there to help debugging stale locks. */
+        const { err: writeErr } = await write(fd, String(process.pid))
+        const { err: closeErr } = await close(fd)
+        if (writeErr || closeErr) {
+          await unlink(this.fileName)
+          return {
+            err: wrapf('acquire(): could not write lock file',
+              writeErr || closeErr, { lockFile: this.fileName })
+          }
+        }
+
+        this.isLocked = true
+        return {}
+      }
+
+      if (openErr.code !== 'EEXIST') {
+        return {
+          err: wrapf('acquire(): could not create lock file', openErr, {
+            lockFile: this.fileName
+          })
+        }
+      }
+
+      const { err: statErr, data: stats } = await stat(this.fileName)
+      if (!statErr && Date.now() - stats.mtimeMs > this.staleMs) {
+        const { err: staleErr } = await this._removeStale(stats)
+        if (staleErr) return { err: staleErr }
+        continue
+      }
+
+      if (Date.now() >= deadline) {
+        return {
+          err: wrapf('acquire(): timed out waiting for lock', openErr, {
+            lockFile: this.fileName,
+            timeoutMs: this.timeoutMs
+          })
+        }
+      }
+
+      await sleep(retryMs)
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS)
+    }
+  }
+
+  /**
+   * Others may find the same stale lock at the same time. Whoever
+   * unlinks it last could remove the fresh lock file the first one
+   * just created, and both would think they hold the lock. So the
+   * stale lock only gets removed while holding `<fileName>.stale`,
+   * and only if it is still the same file.
+   *
+   * @param {fs.Stats} stale
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async _removeStale (stale) {
+    const guardFile = this.fileName + '.stale'
+
+    const { err: openErr, data: fd } = await open(guardFile, 'wx')
+    if (openErr) {
+      if (openErr.code !== 'EEXIST') {
+        return {
+          err: wrapf('acquire(): could not create lock file', openErr, {
+            lockFile: guardFile
+          })
+        }
+      }
+
+      /** Someone crashed while removing the stale lock. */
+      const { err: statErr, data: stats } = await stat(guardFile)
+      if (!statErr && Date.now() - stats.mtimeMs > this.staleMs) {
+        await unlink(guardFile)
+      }
+      return {}
+    }
+    await close(fd)
+
+    const { err: statErr, data: stats } = await stat(this.fileName)
+    if (!statErr && stats.ino === stale.ino &&
+      stats.mtimeMs === stale.mtimeMs
+    ) {
+      await unlink(this.fileName)
+    }
+
+    await unlink(guardFile)
+    return {}
+  }
+
+  /**
+   * @returns {Promise<{ err?: Error }>}
+   */
+  async release () {
+    if (!this.isLocked) {
+      return {}
+    }
+    this.isLocked = false
+
+    const { err: unlinkErr } = await unlink(this.fileName)
+    if (unlinkErr && unlinkErr.code !== 'ENOENT') {
+      return {
+        err: wrapf('release(): could not unlink lock file', unlinkErr, {
+          lockFile: this.fileName
+        })
+      }
+    }
+
+    return {}
+  }
+
+  /**
+   * @returns {{ err?: Error }}
+   */
+  releaseSync () {
+    if (!this.isLocked) {
+      return {}
+    }
+    this.isLocked = false
+
+    try {
+      fs.unlinkSync(this.fileName)
+    } catch (unlinkErr) {
+      if (unlinkErr.code === 'ENOENT') return {}
+
+      return {
+        err: wrapf('releaseSync(): could not unlink lock file', unlinkErr, {
+          lockFile: this.fileName
+        })
+      }
+    }
+
+    return {}
+  }
+}
+
+module.exports = LockFile
+
+/** @param {number} n */
+function sleep (n) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, n)
+  })
+}
@@ -0,0 +1,167 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+const { LEVELS, isLevel } = require('./levels.js')
+
+const WINDOW_MS = 1000
+const SUMMARY_INTERVAL = 10 * 1000
+const MAX_TRACKED_MSGS = 1000
+
+/**
+ * @typedef {{
+ *    maxPerSecond?: number,
+ *    sampleRates?: Partial<Record<import('./levels.js').Level, number>>,
+ *    summaryInterval?: number
+ * }} RateLimitOptions
+ *
+ * @typedef {{
+ *    msg: string,
+ *    level: import('./levels.js').Level,
+ *    count: number
+ * }} Suppressed
+ */
+
+/**
+ * Decides per logline whether it gets written. Loglines are
+ * suppressed when their msg was logged more than `maxPerSecond`
+ * times in the current second, or when they lose the coin toss of
+ * `sampleRates[level]`.
+ *
+ * The suppressed loglines are counted per msg and handed to
+ * `onSummary` every `summaryInterval` ms, so that the log still
+ * shows that something was spamming.
+ */
+class RateLimiter {
+  /**
+   * @param {RateLimitOptions} options
+   * @param {(suppressed: Suppressed[]) => void} onSummary
+   */
+  constructor (options, onSummary) {
+    assert(options.maxPerSecond === undefined || (
+      Number.isInteger(options.maxPerSecond) && options.maxPerSecond > 0
+    ), 'options.rateLimit.maxPerSecond must be a positive integer')
+    assert(options.summaryInterval === undefined || (
+      Number.isInteger(options.summaryInterval) &&
+      options.summaryInterval > 0
+    ), 'options.rateLimit.summaryInterval must be a positive integer')
+
+    const sampleRates = options.sampleRates || {}
+    for (const [level, rate] of Object.entries(sampleRates)) {
+      assert(isLevel(level),
+        'options.rateLimit.sampleRates keys must be one of ' +
+        Object.keys(LEVELS).join(', '))
+      assert(typeof rate === 'number' && rate >= 0 && rate <= 1,
+        'options.rateLimit.sampleRates must be numbers between 0 and 1')
+    }
+
+    this.maxPerSecond = options.maxPerSecond || Infinity
+    this.sampleRates = sampleRates
+    this.summaryInterval = options.summaryInterval || SUMMARY_INTERVAL
+    this.onSummary = onSummary
+
+    // Number of loglines per msg in the current window.
+    /** @type {Map<string, { start: number, count: number }>} */
+    this.windows = new Map()
+    // Suppressed loglines per msg since the last summary.
+    /** @type {Map<string, Suppressed>} */
+    this.suppressed = new Map()
+    /** @type {NodeJS.Timeout | null} */
+    this.timer = null
+    // Suppressed loglines since the start, for getStats().
+    this.totalSuppressed = 0
+  }
+
+  /**
+   * @param {import('./levels.js').Level} level
+   * @param {string} msg
+   * @param {number} now
+   */
+  allow (level, msg, now) {
+    const rate = this.sampleRates[level]
+    if (rate !== undefined && Math.random() >= rate) {
+      this._suppress(level, msg)
+      return false
+    }
+
+    if (this.maxPerSecond === Infinity) {
+      return true
+    }
+
+    let window = this.windows.get(msg)
+    if (!window || now - window.start >= WINDOW_MS) {
+      if (!window && this.windows.size >= MAX_TRACKED_MSGS) {
+        this._pruneWindows(now)
+      }
+
+      window = { start: now, count: 0 }
+      this.windows.set(msg, window)
+    }
+
+    window.count++
+    if (window.count > this.maxPerSecond) {
+      this._suppress(level, msg)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Hands the counts of suppressed loglines to `onSummary` now,
+   * for example before closing the logger.
+   */
+  flushSummary () {
+    if (this.timer !== null) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+
+    if (this.suppressed.size === 0) {
+      return
+    }
+
+    const suppressed = [...this.suppressed.values()]
+    this.suppressed.clear()
+    this.onSummary(suppressed)
+  }
+
+  /**
+   * @param {import('./levels.js').Level} level
+   * @param {string} msg
+   */
+  _suppress (level, msg) {
+    this.totalSuppressed++
+
+    const entry = this.suppressed.get(msg)
+    if (entry) {
+      entry.count++
+      if (LEVELS[level] > LEVELS[entry.level]) {
+        entry.level = level
+      }
+    } else {
+      this.suppressed.set(msg, { msg: msg, level: level, count: 1 })
+    }
+
+    if (this.timer === null) {
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.flushSummary()
+      }, this.summaryInterval)
+      this.timer.unref()
+    }
+  }
+
+  /**
+   * @param {number} now
+   */
+  _pruneWindows (now) {
+    for (const [msg, window] of this.windows) {
+      if (now - window.start >= WINDOW_MS) {
+        this.windows.delete(msg)
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,380 @@
+// @ts-check
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const stream = require('stream')
+
+const { wrapf } = require('./error.js')
+const { resultify } = require('./resultify.js')
+const { LEVELS, isLevel } = require('./levels.js')
+
+const readdir = resultify(fs.readdir)
+
+const NEW_LINE_BYTE = '\n'.charCodeAt(0)
+
+/**
+ * @typedef {{
+ *    name: string,
+ *    hostname: string,
+ *    pid: number,
+ *    level: string,
+ *    msg: string,
+ *    time: string | number,
+ *    seq?: number,
+ *    v: number,
+ *    fields: Record<string, unknown>,
+ *    truncated?: string,
+ *    truncatedPaths?: string[],
+ *    repeat?: number,
+ *    firstTime?: string,
+ *    lastTime?: string
+ * }} LogRecord
+ *
+ * @typedef {{
+ *    level?: import('./levels.js').Level,
+ *    since?: number | string | Date,
+ *    until?: number | string | Date,
+ *    msg?: string | RegExp,
+ *    fields?: Record<string, unknown>
+ * }} LogFilter
+ */
+
+class LogReader {
+  /**
+   * @param {string} fileName
+   * @param {{
+   *    rotated?: boolean
+   * }} [options]
+   */
+  constructor (fileName, options) {
+    this.fileName = fileName
+    // Whether to include rotated files, e.g. `logs.1.ndjson`.
+    this.rotated = !(options && options.rotated === false)
+
+    // Number of lines skipped because they were not valid JSON.
+    this.invalidLines = 0
+  }
+
+  /**
+   * Returns the log file and its rotated siblings, oldest first.
+   * Siblings include the `.gz` archives, e.g. `logs.1.ndjson.gz`.
+   *
+   * @returns {Promise<{ err?: Error, data?: string[] }>}
+   */
+  async listFiles () {
+    if (!this.rotated) {
+      return { data: [this.fileName] }
+    }
+
+    const dirname = path.dirname(this.fileName)
+    const { err, data: entries } = await readdir(dirname)
+    if (err && err.code === 'ENOENT') {
+      return { data: [] }
+    } else if (err) {
+      return {
+        err: wrapf('listFiles(): could not readdir', err, {
+          fileName: this.fileName,
+          dirname: dirname
+        })
+      }
+    }
+
+    const extname = path.extname(this.fileName)
+    const basename = path.basename(this.fileName, extname)
+    const rotatedPattern = new RegExp(
+      '^' + escapeRegExp(basename) + '\\.(\\d+)' +
+      escapeRegExp(extname) + '(\\.gz)?$'
+    )
+
+    /** @type {{ index: number, fileName: string }[]} */
+    const rotatedFiles = []
+    for (const entry of /** @type {string[]} */ (entries)) {
+      const match = rotatedPattern.exec(entry)
+      if (match) {
+        rotatedFiles.push({
+          index: parseInt(match[1], 10),
+          fileName: path.join(dirname, entry)
+        })
+      }
+    }
+    rotatedFiles.sort((a, b) => b.index - a.index)
+
+    const files = rotatedFiles.map((r) => r.fileName)
+    files.push(this.fileName)
+    return { data: files }
+  }
+
+  /**
+   * Streams all matching records, oldest first. Lines that are not
+   * valid JSON, like the remains of a partial write, are skipped.
+   *
+   * @param {LogFilter} [filter]
+   * @returns {AsyncGenerator<LogRecord, void, undefined>}
+   */
+  async * stream (filter) {
+    const matches = createMatcher(filter)
+
+    const { err, data: files } = await this.listFiles()
+    if (err) throw err
+
+    for (const fileName of /** @type {string[]} */ (files)) {
+      const readStream = createReadStream(fileName)
+
+      try {
+        for await (const line of readLines(readStream)) {
+          const record = this.parseLine(line)
+          if (record && matches(record)) {
+            yield record
+          }
+        }
+      } catch (streamErr) {
+        if (streamErr.code === 'ENOENT') continue
+
+        throw wrapf('stream(): could not read log file', streamErr, {
+          fileName: fileName
+        })
+      } finally {
+        readStream.destroy()
+      }
+    }
+  }
+
+  /**
+   * @param {LogFilter} [filter]
+   * @returns {Promise<{ err?: Error, data?: LogRecord[] }>}
+   */
+  async read (filter) {
+    /** @type {LogRecord[]} */
+    const records = []
+
+    try {
+      for await (const record of this.stream(filter)) {
+        records.push(record)
+      }
+    } catch (err) {
+      return { err: err }
+    }
+
+    return { data: records }
+  }
+
+  /**
+   * @param {string} line
+   * @returns {LogRecord | null}
+   */
+  parseLine (line) {
+    if (line.trim() === '') {
+      return null
+    }
+
+    /** @type {unknown} */
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch (_err) {
+      this.invalidLines++
+      return null
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      this.invalidLines++
+      return null
+    }
+
+    return /** @type {LogRecord} */ (record)
+  }
+}
+
+LogReader.createMatcher = createMatcher
+LogReader.readLines = readLines
+LogReader.createReadStream = createReadStream
+module.exports = LogReader
+
+/**
+ * @param {LogFilter} [filter]
+ * @returns {(record: LogRecord) => boolean}
+ */
+function createMatcher (filter) {
+  if (!filter) {
+    return () => true
+  }
+
+  const minLevel = filter.level ? LEVELS[filter.level] : 0
+  const since = filter.since !== undefined ? toTime(filter.since) : NaN
+  const until = filter.until !== undefined ? toTime(filter.until) : NaN
+  const msg = filter.msg
+  const fields = filter.fields ? Object.entries(filter.fields) : []
+
+  return (record) => {
+    if (minLevel && !(
+      isLevel(record.level) && LEVELS[record.level] >= minLevel
+    )) {
+      return false
+    }
+
+    if (!isNaN(since) || !isNaN(until)) {
+      const time = toTime(record.time)
+      if (isNaN(time)) return false
+      if (time < since || time > until) return false
+    }
+
+    if (typeof msg === 'string' && record.msg !== msg) {
+      return false
+    }
+    if (msg instanceof RegExp && !(
+      typeof record.msg === 'string' && msg.test(record.msg)
+    )) {
+      return false
+    }
+
+    for (const [key, expected] of fields) {
+      const value = getPath(record.fields, key)
+      if (expected instanceof RegExp) {
+        if (typeof value !== 'string' || !expected.test(value)) {
+          return false
+        }
+      } else if (value !== expected) {
+        return false
+      }
+    }
+
+    return true
+  }
+}
+
+/**
+ * Opens a log file for reading, `.gz` archives get decompressed.
+ *
+ * @param {string} fileName
+ * @returns {NodeJS.ReadableStream & { destroy: () => void }}
+ */
+function createReadStream (fileName) {
+  const readStream = fs.createReadStream(fileName)
+  if (!fileName.endsWith('.gz')) {
+    return readStream
+  }
+
+  /**
+   * pipeline() forwards errors like ENOENT to the gunzip stream
+   * and destroys both streams when the consumer stops early.
+   */
+  const gunzip = zlib.createGunzip()
+  stream.pipeline(readStream, gunzip, () => {})
+  return gunzip
+}
+
+/**
+ * Splits a stream into lines without buffering more than one
+ * chunk and one partial line at a time.
+ *
+ * @param {NodeJS.ReadableStream} readStream
+ * @returns {AsyncGenerator<string, void, undefined>}
+ */
+async function * readLines (readStream) {
+  /** @type {Buffer | null} */
+  let remainder = null
+
+  for await (const chunk of readChunks(readStream)) {
+    /** @type {Buffer} */
+    let buf = remainder ? Buffer.concat([remainder, chunk]) : chunk
+
+    let start = 0
+    let index = buf.indexOf(NEW_LINE_BYTE, start)
+    while (index !== -1) {
+      yield buf.toString('utf8', start, index)
+
+      start = index + 1
+      index = buf.indexOf(NEW_LINE_BYTE, start)
+    }
+
+    buf = buf.slice(start)
+    remainder = buf.length > 0 ? buf : null
+  }
+
+  if (remainder) {
+    yield remainder.toString('utf8')
+  }
+}
+
+/**
+ * Async iteration of readable streams is still experimental in
+ * node 10 so we wait for the readable event ourselves.
+ *
+ * @param {NodeJS.ReadableStream} readStream
+ * @returns {AsyncGenerator<Buffer, void, undefined>}
+ */
+async function * readChunks (readStream) {
+  let ended = false
+  /** @type {Error | null} */
+  let error = null
+
+  readStream.on('end', () => { ended = true })
+  readStream.on('error', (err) => { error = err })
+
+  while (true) {
+    if (error) throw error
+
+    const chunk = /** @type {Buffer | string | null} */ (readStream.read())
+    if (chunk !== null) {
+      yield Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+      continue
+    }
+
+    if (ended) return
+    await waitForReadable(readStream)
+  }
+}
+
+/**
+ * @param {NodeJS.ReadableStream} readStream
+ * @returns {Promise<void>}
+ */
+function waitForReadable (readStream) {
+  return new Promise((resolve) => {
+    readStream.on('readable', onEvent)
+    readStream.on('end', onEvent)
+    readStream.on('error', onEvent)
+
+    function onEvent () {
+      readStream.removeListener('readable', onEvent)
+      readStream.removeListener('end', onEvent)
+      readStream.removeListener('error', onEvent)
+      resolve()
+    }
+  })
+}
+
+/**
+ * @param {unknown} value
+ */
+function toTime (value) {
+  if (typeof value === 'number') return value
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'string') return Date.parse(value)
+  return NaN
+}
+
+/**
+ * @param {unknown} obj
+ * @param {string} key
+ */
+function getPath (obj, key) {
+  /** @type {unknown} */
+  let value = obj
+  for (const part of key.split('.')) {
+    if (!value || typeof value !== 'object') {
+      return undefined
+    }
+    value = Reflect.get(/** @type {object} */ (value), part)
+  }
+  return value
+}
+
+/**
+ * @param {string} str
+ */
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
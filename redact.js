@@ -0,0 +1,138 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+const PLACEHOLDER = '[REDACTED]'
+
+/**
+ * @typedef {{
+ *    paths?: string[],
+ *    patterns?: RegExp[],
+ *    placeholder?: string
+ * }} RedactOptions
+ *
+ * @typedef {{ segments: string[], index: number }} PathState
+ */
+
+class Redactor {
+  /**
+   * @param {RedactOptions} options
+   */
+  constructor (options) {
+    const paths = options.paths || []
+    const patterns = options.patterns || []
+
+    assert(Array.isArray(paths) && paths.every((p) => {
+      return typeof p === 'string' && p.length > 0
+    }), 'options.redact.paths must be an array of strings')
+    assert(Array.isArray(patterns) && patterns.every((p) => {
+      return p instanceof RegExp
+    }), 'options.redact.patterns must be an array of RegExp')
+
+    this.placeholder = typeof options.placeholder === 'string'
+      ? options.placeholder : PLACEHOLDER
+
+    /** @type {PathState[]} */
+    this.paths = paths.map((p) => {
+      return { segments: p.split('.'), index: 0 }
+    })
+    /** Replacing needs the global flag to catch every match. */
+    this.patterns = patterns.map((p) => {
+      return p.global ? p : new RegExp(p.source, p.flags + 'g')
+    })
+  }
+
+  /**
+   * Returns a redacted copy of info; the object passed in by the
+   * caller is never mutated.
+   *
+   * @param {object} info
+   * @returns {Record<string, unknown>}
+   */
+  redact (info) {
+    return /** @type {Record<string, unknown>} */ (
+      this._redactValue(info, this.paths, [])
+    )
+  }
+
+  /**
+   * @param {unknown} value
+   * @param {PathState[]} paths
+   * @param {object[]} ancestors
+   * @returns {unknown}
+   */
+  _redactValue (value, paths, ancestors) {
+    if (typeof value === 'string') {
+      return this._redactString(value)
+    }
+
+    if (typeof value !== 'object' || value === null) {
+      return value
+    }
+
+    const isArray = Array.isArray(value)
+    if (!isArray && !isPlainObject(value)) {
+      return value
+    }
+
+    /** Leave cycles alone, serializing them is not our concern. */
+    if (ancestors.includes(value)) {
+      return value
+    }
+
+    ancestors.push(value)
+
+    /** @type {Record<string, unknown> | unknown[]} */
+    const copy = isArray ? [] : {}
+    for (const key of Object.keys(value)) {
+      /** @type {PathState[]} */
+      const childPaths = []
+      let redacted = false
+
+      for (const p of paths) {
+        const segment = p.segments[p.index]
+        if (segment !== '*' && segment !== key) {
+          continue
+        }
+
+        if (p.index === p.segments.length - 1) {
+          redacted = true
+          break
+        }
+        childPaths.push({ segments: p.segments, index: p.index + 1 })
+      }
+
+      Reflect.set(copy, key, redacted
+        ? this.placeholder
+        : this._redactValue(
+          Reflect.get(value, key),
+          childPaths,
+          ancestors
+        ))
+    }
+
+    ancestors.pop()
+    return copy
+  }
+
+  /**
+   * @param {string} str
+   */
+  _redactString (str) {
+    for (const pattern of this.patterns) {
+      str = str.replace(pattern, this.placeholder)
+    }
+    return str
+  }
+}
+
+module.exports = Redactor
+
+/**
+ * @param {object} value
+ */
+function isPlainObject (value) {
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
@@ -0,0 +1,230 @@
+// @ts-check
+'use strict'
+
+const { LEVELS, isLevel } = require('./levels.js')
+const { serializeErrors } = require('./error-to-object.js')
+
+const IPC_CHANNEL = 'append-fs-logger:log'
+const FLUSH_INTERVAL = 50
+const MAX_BATCH_SIZE = 100
+
+/**
+ * @typedef {{
+ *    level: import('./levels.js').Level,
+ *    msg: string,
+ *    info: Record<string, unknown> | null,
+ *    timestamp: number
+ * }} IPCLogLine
+ *
+ * @typedef {{ lines: IPCLogLine[] }} IPCPayload
+ */
+
+/**
+ * Logger for the renderer process. It never touches the disk,
+ * loglines are batched and handed to `options.send`, which forwards
+ * them to `MainLogger#handleIPC()` in the main process, e.g.
+ *
+ *    send: (payload) => ipcRenderer.send(IPC_CHANNEL, payload)
+ *
+ * Keep this module free of fs and anything else that only exists
+ * in the main process, it gets bundled into renderers.
+ */
+class RendererLogger {
+  /**
+   * @param {{
+   *    send: (payload: IPCPayload) => void,
+   *    level?: import('./levels.js').Level,
+   *    flushInterval?: number,
+   *    maxBatchSize?: number,
+   *    onError?: (err: Error) => void
+   * }} options
+   */
+  constructor (options) {
+    check(typeof options.send === 'function',
+      'options.send must be a function')
+    check(!options.level || isLevel(options.level),
+      'options.level must be one of ' + Object.keys(LEVELS).join(', '))
+    check(options.flushInterval === undefined || (
+      Number.isInteger(options.flushInterval) && options.flushInterval >= 0
+    ), 'options.flushInterval must be a non negative integer')
+    check(options.maxBatchSize === undefined || (
+      Number.isInteger(options.maxBatchSize) && options.maxBatchSize > 0
+    ), 'options.maxBatchSize must be a positive integer')
+
+    this.send = options.send
+    this.onError = options.onError || warnOnError
+
+    /** @type {import('./levels.js').Level} */
+    this.level = options.level || 'info'
+    this.minLevel = LEVELS[this.level]
+
+    // Loglines are sent at most this many ms after being logged.
+    this.flushInterval = options.flushInterval === undefined
+      ? FLUSH_INTERVAL : options.flushInterval
+    // A full batch is sent right away.
+    this.maxBatchSize = options.maxBatchSize || MAX_BATCH_SIZE
+
+    /** @type {IPCLogLine[]} */
+    this.pendingLines = []
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.timer = null
+  }
+
+  /**
+   * @param {import('./levels.js').Level} level
+   */
+  setLevel (level) {
+    check(isLevel(level),
+      'level must be one of ' + Object.keys(LEVELS).join(', '))
+
+    this.level = level
+    this.minLevel = LEVELS[level]
+  }
+
+  getLevel () {
+    return this.level
+  }
+
+  /**
+   * Sends all pending loglines now, for example before the window
+   * unloads.
+   */
+  flush () {
+    if (this.timer !== null) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+
+    if (this.pendingLines.length === 0) {
+      return
+    }
+
+    const lines = this.pendingLines
+    this.pendingLines = []
+
+    try {
+      this.send({ lines: lines })
+    } catch (err) {
+      this.onError(err)
+    }
+  }
+
+  /**
+   * @param {string} level
+   * @param {string} msg
+   * @param {Record<string, unknown> | null} info
+   * @param {number} timestamp
+   */
+  _log (level, msg, info, timestamp) {
+    if (!msg || typeof msg !== 'string') {
+      throw new Error(level + '(msg); msg is mandatory')
+    }
+    if (info && typeof info !== 'object') {
+      throw new Error(level + '(msg, info); info must be object')
+    }
+    if (!isLevel(level)) {
+      throw new Error(level + '(msg); unknown level')
+    }
+
+    if (LEVELS[level] < this.minLevel) {
+      return
+    }
+
+    /**
+     * Errors do not survive the structured clone of IPC, so they
+     * get serialized here the same way MainLogger does it.
+     */
+    const fields = info
+      ? /** @type {Record<string, unknown>} */ (serializeErrors(info))
+      : null
+
+    this.pendingLines.push({
+      level: level,
+      msg: msg,
+      info: fields,
+      timestamp: timestamp
+    })
+
+    if (this.pendingLines.length >= this.maxBatchSize) {
+      this.flush()
+    } else if (this.timer === null) {
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.flush()
+      }, this.flushInterval)
+    }
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} [info]
+   */
+  trace (msg, info) {
+    this._log('trace', msg, info || null, Date.now())
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} [info]
+   */
+  debug (msg, info) {
+    this._log('debug', msg, info || null, Date.now())
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} [info]
+   */
+  info (msg, info) {
+    this._log('info', msg, info || null, Date.now())
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} [info]
+   */
+  warn (msg, info) {
+    this._log('warn', msg, info || null, Date.now())
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} [info]
+   */
+  error (msg, info) {
+    this._log('error', msg, info || null, Date.now())
+  }
+
+  /**
+   * @param {string} msg
+   * @param {Record<string, unknown>} [info]
+   */
+  fatal (msg, info) {
+    this._log('fatal', msg, info || null, Date.now())
+  }
+}
+
+RendererLogger.IPC_CHANNEL = IPC_CHANNEL
+module.exports = RendererLogger
+
+/**
+ * @param {Error} err
+ */
+function warnOnError (err) {
+  console.error('RendererLogger could not send loglines', {
+    err: err
+  })
+}
+
+/**
+ * Like assert(), which renderer bundles do not come with.
+ *
+ * @param {unknown} condition
+ * @param {string} message
+ * @returns {asserts condition}
+ */
+function check (condition, message) {
+  if (!condition) {
+    throw new Error(message)
+  }
+}
@@ -0,0 +1,199 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+/**
+ * @typedef {{
+ *    maxDepth?: number,
+ *    maxArrayLength?: number
+ * }} SafeJSONOptions
+ */
+
+/**
+ * Turns the fields of a logline into values that JSON.stringify()
+ * can always serialize, so that one bad field never costs us the
+ * whole logline:
+ *
+ *  - cycles become "[Circular]"
+ *  - BigInts become strings and Symbols their description
+ *  - Maps become objects and Sets arrays
+ *  - Buffers and typed arrays become e.g. "[Buffer(1024)]"
+ *  - getters and toJSON() that throw become "[Threw: message]", so
+ *    do objects whose keys cannot be listed, e.g. some Proxies
+ *  - if set, objects nested deeper than `maxDepth` become "[Object]"
+ *    and arrays are cut off after `maxArrayLength` items
+ *
+ * The limits are off by default, lines that are too long get
+ * shrunk by the logger anyway, see shrinkFields().
+ */
+class SafeJSON {
+  /**
+   * @param {SafeJSONOptions} [options]
+   */
+  constructor (options) {
+    const opts = options || {}
+    assert(opts.maxDepth === undefined || (
+      Number.isInteger(opts.maxDepth) && opts.maxDepth > 0
+    ), 'options.maxDepth must be a positive integer')
+    assert(opts.maxArrayLength === undefined || (
+      Number.isInteger(opts.maxArrayLength) && opts.maxArrayLength > 0
+    ), 'options.maxArrayLength must be a positive integer')
+
+    this.maxDepth = opts.maxDepth || Infinity
+    this.maxArrayLength = opts.maxArrayLength || Infinity
+  }
+
+  /**
+   * Returns a copy of info; the object passed in by the caller is
+   * never mutated.
+   *
+   * @param {object} info
+   * @returns {Record<string, unknown>}
+   */
+  sanitize (info) {
+    return /** @type {Record<string, unknown>} */ (
+      this._sanitizeValue(info, 0, [])
+    )
+  }
+
+  /**
+   * @param {unknown} value
+   * @param {number} depth
+   * @param {object[]} ancestors
+   * @returns {unknown}
+   */
+  _sanitizeValue (value, depth, ancestors) {
+    switch (typeof value) {
+      case 'bigint':
+        return value.toString()
+      case 'symbol':
+        return value.toString()
+      case 'object':
+        break
+      default:
+        return value
+    }
+
+    if (value === null) {
+      return null
+    }
+    if (ancestors.includes(value)) {
+      return '[Circular]'
+    }
+
+    if (ArrayBuffer.isView(value)) {
+      const length = Reflect.get(value, 'length')
+      return `[${value.constructor.name}(${
+        typeof length === 'number' ? length : value.byteLength
+      })]`
+    }
+    if (value instanceof ArrayBuffer) {
+      return `[ArrayBuffer(${value.byteLength})]`
+    }
+
+    /** Dates and the like know best how to serialize themselves. */
+    let toJSON
+    try {
+      toJSON = Reflect.get(value, 'toJSON')
+    } catch (err) {
+      return threw(err)
+    }
+    if (typeof toJSON === 'function') {
+      let json
+      try {
+        json = toJSON.call(value)
+      } catch (err) {
+        return threw(err)
+      }
+
+      ancestors.push(value)
+      const result = this._sanitizeValue(json, depth, ancestors)
+      ancestors.pop()
+      return result
+    }
+
+    const isArray = Array.isArray(value) || value instanceof Set
+    if (depth >= this.maxDepth) {
+      return isArray ? '[Array]' : '[Object]'
+    }
+
+    ancestors.push(value)
+    const result = isArray
+      ? this._sanitizeArray(
+        value instanceof Set ? [...value] : /** @type {unknown[]} */ (value),
+        depth, ancestors
+      )
+      : this._sanitizeObject(value, depth, ancestors)
+    ancestors.pop()
+
+    return result
+  }
+
+  /**
+   * @param {unknown[]} arr
+   * @param {number} depth
+   * @param {object[]} ancestors
+   */
+  _sanitizeArray (arr, depth, ancestors) {
+    const length = Math.min(arr.length, this.maxArrayLength)
+
+    const copy = new Array(length)
+    for (let i = 0; i < length; i++) {
+      copy[i] = this._sanitizeValue(arr[i], depth + 1, ancestors)
+    }
+
+    if (arr.length > length) {
+      copy.push(`[${arr.length - length} more items]`)
+    }
+    return copy
+  }
+
+  /**
+   * @param {object} obj
+   * @param {number} depth
+   * @param {object[]} ancestors
+   */
+  _sanitizeObject (obj, depth, ancestors) {
+    /** @type {[string, unknown][]} */
+    const entries = []
+    try {
+      if (obj instanceof Map) {
+        for (const [key, value] of obj) {
+          entries.push([String(key), value])
+        }
+      } else {
+        for (const key of Object.keys(obj)) {
+          let value
+          try {
+            value = Reflect.get(obj, key)
+          } catch (err) {
+            value = threw(err)
+          }
+          entries.push([key, value])
+        }
+      }
+    } catch (err) {
+      /** E.g. a Proxy whose ownKeys trap throws. */
+      return threw(err)
+    }
+
+    /** @type {Record<string, unknown>} */
+    const copy = {}
+    for (const [key, value] of entries) {
+      copy[key] = this._sanitizeValue(value, depth + 1, ancestors)
+    }
+    return copy
+  }
+}
+
+module.exports = SafeJSON
+
+/**
+ * @param {unknown} err
+ */
+function threw (err) {
+  const message = typeof err === 'object' && err !== null
+    ? Reflect.get(err, 'message') : err
+  return `[Threw: ${String(message)}]`
+}
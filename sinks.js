@@ -0,0 +1,231 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+const { LEVELS, isLevel } = require('./levels.js')
+const { formatConsoleLine } = require('./console-format.js')
+
+const RING_BUFFER_MAX_LINES = 1000
+const RING_BUFFER_MAX_BYTES = 1024 * 1024
+
+/**
+ * A sink receives every logline that passes the level of the
+ * logger and the optional level of the sink. `open()`, `flush()`
+ * and `close()` are optional; `open()` and `close()` resolve to
+ * `{ err?: Error }` like the rest of the logger.
+ *
+ * @typedef {{
+ *    level?: import('./levels.js').Level,
+ *    write: (logLine: LogLine, context: SinkContext) => unknown,
+ *    open?: () => Promise<{ err?: Error }>,
+ *    flush?: () => Promise<unknown> | unknown,
+ *    close?: () => Promise<{ err?: Error }>
+ * }} Sink
+ *
+ * @typedef {{
+ *    prefix: string,
+ *    timestamp: number
+ * }} SinkContext
+ *
+ * @typedef {InstanceType<
+ *    typeof import('./append-fs-logger.js').LogLine
+ * >} LogLine
+ * @typedef {import('./append-fs-logger.js')} AppendOnlyFSLogger
+ */
+
+/**
+ * Writes loglines as newline delimited JSON to a file, see
+ * AppendOnlyFSLogger.
+ */
+class FileSink {
+  /**
+   * @param {AppendOnlyFSLogger} fsLogger
+   * @param {{ level?: import('./levels.js').Level }} [options]
+   */
+  constructor (fsLogger, options) {
+    assertLevel(options)
+
+    this.fsLogger = fsLogger
+    this.level = options && options.level
+  }
+
+  open () {
+    return this.fsLogger.open()
+  }
+
+  /**
+   * @param {LogLine} logLine
+   */
+  write (logLine) {
+    return this.fsLogger._write(logLine)
+  }
+
+  flush () {
+    return this.fsLogger.flush()
+  }
+
+  close () {
+    return this.fsLogger.close()
+  }
+}
+
+/**
+ * Prints loglines in color, errors and fatal loglines go to
+ * stderr.
+ */
+class ConsoleSink {
+  /**
+   * @param {{ level?: import('./levels.js').Level }} [options]
+   */
+  constructor (options) {
+    assertLevel(options)
+
+    this.level = options && options.level
+  }
+
+  /**
+   * @param {LogLine} logLine
+   * @param {SinkContext} context
+   */
+  write (logLine, context) {
+    const consoleLogText = formatConsoleLine(
+      logLine.level, logLine.msg, logLine.fields, context.timestamp, true
+    )
+
+    if (logLine.level === 'error' || logLine.level === 'fatal') {
+      console.error(context.prefix + consoleLogText)
+    } else {
+      console.log(context.prefix + consoleLogText)
+    }
+  }
+}
+
+/**
+ * Keeps the most recent loglines in memory, serialized, so that a
+ * crash dialog or report can include them without reading the
+ * file. The oldest lines are dropped once either `maxLines` or
+ * `maxBytes` is exceeded; a single line larger than `maxBytes` is
+ * not kept at all.
+ */
+class RingBufferSink {
+  /**
+   * @param {{
+   *    maxLines?: number,
+   *    maxBytes?: number,
+   *    level?: import('./levels.js').Level
+   * }} [options]
+   */
+  constructor (options) {
+    assertLevel(options)
+    const opts = options || {}
+    assert(opts.maxLines === undefined || (
+      Number.isInteger(opts.maxLines) && opts.maxLines > 0
+    ), 'options.maxLines must be a positive integer')
+    assert(opts.maxBytes === undefined || (
+      Number.isInteger(opts.maxBytes) && opts.maxBytes > 0
+    ), 'options.maxBytes must be a positive integer')
+
+    this.level = opts.level
+    this.maxLines = opts.maxLines || RING_BUFFER_MAX_LINES
+    this.maxBytes = opts.maxBytes || RING_BUFFER_MAX_BYTES
+
+    // Circular buffer of `count` lines starting at `start`.
+    /** @type {{ level: string, line: string, bytes: number }[]} */
+    this.entries = []
+    this.start = 0
+    this.count = 0
+    // Total bytes of the lines in the buffer.
+    this.bytes = 0
+  }
+
+  /**
+   * @param {LogLine} logLine
+   */
+  write (logLine) {
+    const line = JSON.stringify(logLine)
+    const bytes = Buffer.byteLength(line)
+    if (bytes > this.maxBytes) {
+      return
+    }
+
+    while (this.count > 0 && (
+      this.count === this.maxLines || this.bytes + bytes > this.maxBytes
+    )) {
+      this.bytes -= this.entries[this.start].bytes
+      this.start = (this.start + 1) % this.maxLines
+      this.count--
+    }
+
+    const index = (this.start + this.count) % this.maxLines
+    this.entries[index] = { level: logLine.level, line: line, bytes: bytes }
+    this.count++
+    this.bytes += bytes
+  }
+
+  /**
+   * Returns the most recent loglines, oldest first, optionally
+   * only those at or above `level` and at most `limit` of them.
+   *
+   * @param {{
+   *    level?: import('./levels.js').Level,
+   *    limit?: number
+   * }} [options]
+   * @returns {import('./reader.js').LogRecord[]}
+   */
+  getRecent (options) {
+    const opts = options || {}
+    assertLevel(opts)
+    const minLevel = opts.level ? LEVELS[opts.level] : 0
+    const limit = opts.limit === undefined ? this.count : opts.limit
+
+    /** @type {import('./reader.js').LogRecord[]} */
+    const records = []
+    for (let i = this.count - 1; i >= 0 && records.length < limit; i--) {
+      const entry = this.entries[(this.start + i) % this.maxLines]
+      if (minLevel && !(
+        isLevel(entry.level) && LEVELS[entry.level] >= minLevel
+      )) {
+        continue
+      }
+      records.push(JSON.parse(entry.line))
+    }
+
+    return records.reverse()
+  }
+
+  /**
+   * Returns all loglines in the buffer as newline delimited JSON.
+   * This does no I/O so it is safe to call from an
+   * 'uncaughtException' handler.
+   */
+  dump () {
+    let str = ''
+    for (let i = 0; i < this.count; i++) {
+      str += this.entries[(this.start + i) % this.maxLines].line + '\n'
+    }
+    return str
+  }
+}
+
+/**
+ * @param {unknown} sink
+ * @returns {sink is Sink}
+ */
+function isSink (sink) {
+  return typeof sink === 'object' && sink !== null &&
+    typeof Reflect.get(sink, 'write') === 'function'
+}
+
+exports.FileSink = FileSink
+exports.ConsoleSink = ConsoleSink
+exports.RingBufferSink = RingBufferSink
+exports.isSink = isSink
+
+/**
+ * @param {{ level?: import('./levels.js').Level }} [options]
+ */
+function assertLevel (options) {
+  assert(!options || !options.level || isLevel(options.level),
+    'options.level must be one of ' + Object.keys(LEVELS).join(', '))
+}
@@ -0,0 +1,240 @@
+// @ts-check
+'use strict'
+
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+const childProcess = require('child_process')
+
+const test = require('@pre-bundled/tape')
+const uuid = require('uuid').v4
+
+const { PRODUCT_NAME, makeLogger, sleep } = require('./helpers.js')
+
+const CLI = path.join(__dirname, '..', 'cli.js')
+
+test('pretty prints a log file', async (assert) => {
+  const fileName = writeLogFile()
+
+  const { code, stdout } = await runCLI(['--no-color', fileName])
+  assert.equal(code, 0)
+
+  const lines = stdout.trim().split('\n')
+  assert.equal(lines.length, 4)
+  assert.ok(/^electron-main \d+\.\d+\.\d+\.\d{3} › sync started: /
+    .test(lines[0]))
+  assert.ok(lines[0].includes("{ account: { id: 'a1' } }"))
+  assert.ok(lines[2].includes(' › sync failed: '))
+  assert.ok(lines[2].includes("code: 'ECONNRESET'"))
+  assert.notOk(stdout.includes('\u001b['))
+
+  const { stdout: colored } = await runCLI(['--color', fileName])
+  assert.ok(colored.includes('\u001b[32melectron-main\u001b[39m'))
+  assert.ok(colored.includes('\u001b[33m'))
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('filters printed lines', async (assert) => {
+  const fileName = writeLogFile()
+
+  const { stdout: warnings } = await runCLI([
+    '--no-color', '--level', 'warn', fileName
+  ])
+  assert.equal(countLines(warnings), 2)
+
+  const { stdout: matches } = await runCLI([
+    '--no-color', '--grep', 'ECONN', fileName
+  ])
+  assert.equal(countLines(matches), 1)
+  assert.ok(matches.includes('ECONNRESET'))
+
+  const { stdout: range } = await runCLI([
+    '--no-color',
+    '--since', '2021-01-01T11:00:00.000Z',
+    '--until', String(Date.parse('2021-01-01T12:00:00.000Z')),
+    fileName
+  ])
+  assert.equal(countLines(range), 2)
+
+  const { stdout: recent } = await runCLI([
+    '--no-color', '--since', '1h', fileName
+  ])
+  assert.equal(countLines(recent), 0)
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('prints rotated files oldest first', async (assert) => {
+  const logger = await makeLogger({
+    retention: 'rotate',
+    maxLines: 5,
+    maxFiles: 2
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  for (let i = 0; i < 12; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  const { stdout } = await runCLI(['--no-color', fileName])
+  assert.deepEqual(indexes(stdout), [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11
+  ])
+
+  const { stdout: current } = await runCLI([
+    '--no-color', '--no-rotated', fileName
+  ])
+  assert.deepEqual(indexes(current), [10, 11])
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('prints compressed archives', async (assert) => {
+  const logger = await makeLogger({
+    compress: true,
+    maxLines: 10,
+    truncateFraction: 0.5
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  for (let i = 0; i < 20; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  const { stdout } = await runCLI(['--no-color', fileName])
+  assert.deepEqual(indexes(stdout), [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19
+  ])
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('invalid arguments', async (assert) => {
+  const { code, stderr } = await runCLI([])
+  assert.equal(code, 1)
+  assert.ok(stderr.includes('file is required'))
+  assert.ok(stderr.includes('usage: append-fs-logger'))
+
+  const { code: code2, stderr: stderr2 } =
+    await runCLI(['--level', 'verbose', 'logs.ndjson'])
+  assert.equal(code2, 1)
+  assert.ok(stderr2.includes('--level must be one of'))
+
+  const { code: code3, stderr: stderr3 } =
+    await runCLI(['--since', 'yesterday', 'logs.ndjson'])
+  assert.equal(code3, 1)
+  assert.ok(stderr3.includes('--since is not a valid time: yesterday'))
+
+  const missing = path.join(os.tmpdir(), `${uuid()}.json`)
+  const { code: code5, stdout: stdout5, stderr: stderr5 } =
+    await runCLI([missing])
+  assert.equal(code5, 1)
+  assert.equal(stdout5, '')
+  assert.equal(stderr5, `no such file: ${missing}\n`)
+
+  const { code: code4, stdout } = await runCLI(['--help'])
+  assert.equal(code4, 0)
+  assert.ok(stdout.includes('--follow'))
+
+  assert.end()
+})
+
+test('follows a log file across truncation', async (assert) => {
+  const logger = await makeLogger({
+    maxLines: 10,
+    truncateFraction: 0.5
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  for (let i = 0; i < 8; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  let stdout = ''
+  const child = childProcess.spawn(
+    process.execPath, [CLI, '--no-color', '--follow', fileName]
+  )
+  child.stdout.on('data', (chunk) => { stdout += chunk })
+
+  await sleep(600)
+  assert.deepEqual(indexes(stdout), [0, 1, 2, 3, 4, 5, 6, 7])
+
+  /** The 10th line truncates the file down to 4 lines. */
+  for (let i = 8; i < 12; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+  assert.equal(logger.fsLogger.lines, 6)
+
+  await sleep(600)
+  child.kill()
+
+  assert.deepEqual(indexes(stdout), [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11
+  ])
+
+  await logger.destroy()
+  assert.end()
+})
+
+/**
+ * @param {string[]} args
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+function runCLI (args) {
+  return new Promise((resolve) => {
+    childProcess.execFile(
+      process.execPath, [CLI, ...args], (err, stdout, stderr) => {
+        const code = err ? Number(Reflect.get(err, 'code')) : 0
+        resolve({ code, stdout, stderr })
+      }
+    )
+  })
+}
+
+function writeLogFile () {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+  fs.writeFileSync(fileName, [
+    record('info', 'sync started', '2021-01-01T10:00:00.000Z', {
+      account: { id: 'a1' }
+    }),
+    record('warn', 'sync failed', '2021-01-01T11:00:00.000Z', {
+      account: { id: 'a1' }, code: 'ETIMEDOUT'
+    }),
+    record('error', 'sync failed', '2021-01-01T12:00:00.000Z', {
+      account: { id: 'a2' }, code: 'ECONNRESET'
+    }),
+    record('debug', 'window opened', '2021-01-01T13:00:00.000Z', {})
+  ].join('\n') + '\n')
+
+  return fileName
+}
+
+/**
+ * @param {string} level
+ * @param {string} msg
+ * @param {string} time
+ * @param {object} fields
+ */
+function record (level, msg, time, fields) {
+  return JSON.stringify({
+    name: PRODUCT_NAME, level, msg, time, v: 1, fields
+  })
+}
+
+/** @param {string} stdout */
+function countLines (stdout) {
+  return stdout.split('\n').filter(Boolean).length
+}
+
+/** @param {string} stdout */
+function indexes (stdout) {
+  return stdout.split('\n').filter(Boolean).map((line) => {
+    const match = /index: (\d+)/.exec(line)
+    return match ? parseInt(match[1], 10) : -1
+  })
+}
@@ -0,0 +1,34 @@
+// @ts-check
+'use strict'
+
+const MainLogger = require('../../index.js')
+
+/**
+ * Usage: node exit-handler.js <fileName> <exit | throw | reject>
+ */
+async function main () {
+  const fileName = process.argv[2]
+  const mode = process.argv[3]
+
+  const logger = new MainLogger('electron-main', {
+    fileName: fileName
+  })
+  const { err } = await logger.open()
+  if (err) throw err
+
+  logger.installExitHandlers()
+
+  logger.info('before crash', { mode: mode })
+
+  if (mode === 'exit') {
+    process.exit(3)
+  } else if (mode === 'throw') {
+    throw new Error('boom')
+  } else if (mode === 'reject') {
+    Promise.reject(new Error('rejected'))
+  }
+}
+
+main().catch((err) => {
+  process.nextTick(() => { throw err })
+})
@@ -0,0 +1,31 @@
+// @ts-check
+'use strict'
+
+const MainLogger = require('../../index.js')
+
+/**
+ * Usage: node shared-writer.js <fileName> <count> <maxLines>
+ */
+async function main () {
+  const fileName = process.argv[2]
+  const count = parseInt(process.argv[3], 10)
+  const maxLines = parseInt(process.argv[4], 10)
+
+  const logger = new MainLogger('electron-main', {
+    fileName: fileName,
+    shared: true,
+    maxLines: maxLines,
+    truncateFraction: 0.5,
+    onError: (err) => { throw err }
+  })
+  const { err } = await logger.open()
+  if (err) throw err
+
+  for (let i = 0; i < count; i++) {
+    await logger.info('shared msg', { index: i })
+  }
+}
+
+main().catch((err) => {
+  process.nextTick(() => { throw err })
+})
@@ -0,0 +1,75 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const {
+  createFormatter, formatLogfmt, formatText
+} = require('../formats.js')
+
+const logLine = {
+  name: 'app',
+  hostname: 'host',
+  pid: 1,
+  level: 'info',
+  msg: 'hello',
+  time: '2020-01-01T00:00:00.000Z',
+  v: 1,
+  fields: {}
+}
+
+test('ndjson is the default format', (assert) => {
+  const format = createFormatter()
+  assert.equal(format(logLine), JSON.stringify(logLine))
+  assert.equal(createFormatter('ndjson'), format)
+  assert.end()
+})
+
+test('logfmt quotes values only when needed', (assert) => {
+  const line = formatLogfmt({
+    ...logLine,
+    fields: {
+      plain: 'word',
+      empty: '',
+      spaced: 'two words',
+      equals: 'a=b',
+      quote: 'say "hi"',
+      unicode: 'ü',
+      nothing: null,
+      missing: undefined,
+      flag: false,
+      nested: { deep: { n: 1.5 }, empty: {} }
+    }
+  })
+
+  assert.equal(line,
+    'name=app hostname=host pid=1 level=info msg=hello ' +
+    'time=2020-01-01T00:00:00.000Z v=1 plain=word empty="" ' +
+    'spaced="two words" equals="a=b" quote="say \\"hi\\"" ' +
+    'unicode="ü" nothing=null flag=false nested.deep.n=1.5'
+  )
+  assert.end()
+})
+
+test('text format appends fields and extra keys', (assert) => {
+  assert.equal(formatText(logLine),
+    '2020-01-01T00:00:00.000Z INFO  app[1]: hello')
+
+  assert.equal(formatText({
+    ...logLine,
+    level: 'error',
+    fields: { id: 4 },
+    repeat: 3
+  }), '2020-01-01T00:00:00.000Z ERROR app[1]: hello {"id":4} repeat=3')
+  assert.end()
+})
+
+test('formatters never write more than one line', (assert) => {
+  const format = createFormatter('text')
+  assert.equal(format({ ...logLine, msg: 'a\nb\r\nc' }),
+    '2020-01-01T00:00:00.000Z INFO  app[1]: a\\nb\\r\\nc')
+
+  const custom = createFormatter((l) => `${l.msg}\n`)
+  assert.equal(custom(logLine), 'hello\\n')
+  assert.end()
+})
@@ -0,0 +1,51 @@
+// @ts-check
+'use strict'
+
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+
+const uuid = require('uuid').v4
+
+const MainLogger = require('../index.js')
+
+const PRODUCT_NAME = 'electron-main'
+
+exports.PRODUCT_NAME = PRODUCT_NAME
+exports.makeLogger = makeLogger
+exports.sleep = sleep
+exports.readLines = readLines
+
+/**
+ * Opens a logger writing to a new file in the tmp dir.
+ *
+ * @param {Omit<
+ *    ConstructorParameters<typeof MainLogger>[1], 'fileName'
+ * >} [options]
+ */
+async function makeLogger (options) {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const logger = new MainLogger(PRODUCT_NAME, {
+    ...options,
+    fileName: fileName
+  })
+
+  const { err } = await logger.open()
+  if (err) throw err
+
+  return logger
+}
+
+/** @param {number} n */
+function sleep (n) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, n)
+  })
+}
+
+/** @param {string} fileName */
+function readLines (fileName) {
+  return fs.readFileSync(fileName, 'utf8')
+    .split('\n').filter(Boolean).map((s) => JSON.parse(s))
+}
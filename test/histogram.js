@@ -0,0 +1,32 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const Histogram = require('../histogram.js')
+
+test('histogram counts values into buckets', (assert) => {
+  const histogram = new Histogram([1, 10, 100])
+
+  for (const value of [0.5, 1, 3, 10, 50, 500]) {
+    histogram.record(value)
+  }
+
+  assert.deepEqual(histogram.toJSON(), {
+    count: 6,
+    sum: 564.5,
+    max: 500,
+    buckets: { 1: 2, 10: 2, 100: 1, '+Inf': 1 }
+  })
+  assert.end()
+})
+
+test('histogram bounds must be increasing', (assert) => {
+  assert.throws(() => {
+    return new Histogram([10, 1])
+  }, /bounds must be increasing/)
+  assert.throws(() => {
+    return new Histogram([])
+  }, /bounds must be increasing/)
+  assert.end()
+})
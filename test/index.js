@@ -2,3 +2,16 @@
 'use strict'
 
 require('./logger.js')
+require('./reader.js')
+require('./redact.js')
+require('./safe-json.js')
+require('./truncate-fields.js')
+require('./formats.js')
+require('./time-format.js')
+require('./lock-file.js')
+require('./renderer-logger.js')
+require('./sinks.js')
+require('./line-index.js')
+require('./histogram.js')
+require('./rate-limiter.js')
+require('./cli.js')
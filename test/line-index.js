@@ -0,0 +1,102 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const LineIndex = require('../line-index.js')
+
+test('LineIndex push and get', (assert) => {
+  const index = new LineIndex()
+  assert.equal(index.length, 0)
+  assert.equal(index.get(0), undefined)
+
+  index.push(10)
+  index.push(25)
+  index.push(40)
+
+  assert.equal(index.length, 3)
+  assert.equal(index.get(0), 10)
+  assert.equal(index.get(2), 40)
+  assert.equal(index.get(3), undefined)
+  assert.deepEqual([...index], [10, 25, 40])
+
+  index.clear()
+  assert.equal(index.length, 0)
+  assert.deepEqual([...index], [])
+
+  assert.end()
+})
+
+test('LineIndex dropFirst() moves offsets', (assert) => {
+  const index = new LineIndex()
+  for (let i = 1; i <= 10; i++) {
+    index.push(i * 10 - 1)
+  }
+
+  /** Cut the first 3 lines, which end at offset 29. */
+  index.dropFirst(3, 30)
+  assert.equal(index.length, 7)
+  assert.deepEqual([...index], [9, 19, 29, 39, 49, 59, 69])
+
+  index.push(79)
+  assert.equal(index.get(7), 79)
+
+  index.dropFirst(20, 80)
+  assert.equal(index.length, 0)
+  index.push(5)
+  assert.deepEqual([...index], [5])
+
+  assert.end()
+})
+
+test('LineIndex grows across the end of the ring', (assert) => {
+  const index = new LineIndex()
+
+  /** @type {number[]} */
+  const expected = []
+  let size = 0
+  for (let i = 0; i < 5000; i++) {
+    size += 10
+    index.push(size - 1)
+    expected.push(size - 1)
+
+    if (expected.length === 1000) {
+      const position = expected[249] + 1
+      index.dropFirst(250, position)
+      expected.splice(0, 250)
+      for (let j = 0; j < expected.length; j++) {
+        expected[j] -= position
+      }
+      size -= position
+    }
+  }
+
+  assert.equal(index.length, expected.length)
+  assert.deepEqual([...index], expected)
+  assert.ok(index.buffer.length <= 2048)
+
+  assert.end()
+})
+
+test('LineIndex findFirstAfter()', (assert) => {
+  const index = new LineIndex()
+  assert.equal(index.findFirstAfter(0), -1)
+
+  for (const offset of [4, 9, 30, 31, 100]) {
+    index.push(offset)
+  }
+
+  assert.equal(index.findFirstAfter(0), 0)
+  assert.equal(index.findFirstAfter(4), 1)
+  assert.equal(index.findFirstAfter(10), 2)
+  assert.equal(index.findFirstAfter(31), 4)
+  assert.equal(index.findFirstAfter(100), -1)
+
+  index.dropFirst(2, 10)
+  assert.deepEqual([...index], [20, 21, 90])
+  assert.equal(index.findFirstAfter(19), 0)
+  assert.equal(index.findFirstAfter(20), 1)
+  assert.equal(index.findFirstAfter(89), 2)
+
+  assert.end()
+})
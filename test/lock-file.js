@@ -0,0 +1,141 @@
+// @ts-check
+'use strict'
+
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+
+const test = require('@pre-bundled/tape')
+const uuid = require('uuid').v4
+
+const LockFile = require('../lock-file.js')
+
+test('acquire and release a lock', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.lock`)
+  const lock = new LockFile(fileName)
+
+  const { err } = await lock.acquire()
+  assert.ifError(err)
+  assert.ok(lock.isLocked)
+  assert.equal(fs.readFileSync(fileName, 'utf8'), String(process.pid))
+
+  const { err: releaseErr } = await lock.release()
+  assert.ifError(releaseErr)
+  assert.notOk(lock.isLocked)
+  assert.notOk(fs.existsSync(fileName))
+
+  assert.end()
+})
+
+test('a second lock waits for the first', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.lock`)
+  const first = new LockFile(fileName)
+  const second = new LockFile(fileName)
+
+  /** @type {string[]} */
+  const events = []
+
+  const { err } = await first.acquire()
+  assert.ifError(err)
+
+  const pending = second.acquire().then((r) => {
+    events.push('second acquired')
+    return r
+  })
+
+  await sleep(30)
+  events.push('first released')
+  await first.release()
+
+  const { err: secondErr } = await pending
+  assert.ifError(secondErr)
+  assert.deepEqual(events, ['first released', 'second acquired'])
+
+  await second.release()
+  assert.end()
+})
+
+test('acquire times out', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.lock`)
+  const first = new LockFile(fileName)
+  const second = new LockFile(fileName, { timeoutMs: 50 })
+
+  await first.acquire()
+
+  const { err } = await second.acquire()
+  assert.ok(err)
+  assert.ok(err && err.message.includes('timed out waiting for lock'))
+  assert.notOk(second.isLocked)
+
+  await first.release()
+  assert.end()
+})
+
+test('breaks a stale lock', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.lock`)
+  fs.writeFileSync(fileName, '12345')
+
+  const past = new Date(Date.now() - 60 * 1000)
+  fs.utimesSync(fileName, past, past)
+
+  const lock = new LockFile(fileName, { timeoutMs: 50 })
+  const { err } = await lock.acquire()
+  assert.ifError(err)
+  assert.equal(fs.readFileSync(fileName, 'utf8'), String(process.pid))
+
+  await lock.release()
+  assert.end()
+})
+
+test('only one of many breaks a stale lock', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.lock`)
+  fs.writeFileSync(fileName, '12345')
+
+  const past = new Date(Date.now() - 60 * 1000)
+  fs.utimesSync(fileName, past, past)
+
+  const locks = [1, 2, 3, 4].map(() => {
+    return new LockFile(fileName, { timeoutMs: 100 })
+  })
+  const results = await Promise.all(locks.map((lock) => lock.acquire()))
+
+  assert.equal(locks.filter((lock) => lock.isLocked).length, 1)
+  assert.equal(results.filter((r) => !r.err).length, 1)
+  assert.notOk(fs.existsSync(fileName + '.stale'))
+
+  for (const lock of locks) {
+    await lock.release()
+  }
+  assert.notOk(fs.existsSync(fileName))
+  assert.end()
+})
+
+test('a stale lock that got replaced is left alone', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.lock`)
+  fs.writeFileSync(fileName, '12345')
+
+  const past = new Date(Date.now() - 60 * 1000)
+  fs.utimesSync(fileName, past, past)
+  const stale = fs.statSync(fileName)
+
+  /** Someone else broke the stale lock and took it meanwhile. */
+  fs.unlinkSync(fileName)
+  const first = new LockFile(fileName)
+  assert.ifError((await first.acquire()).err)
+
+  const second = new LockFile(fileName)
+  const { err } = await second._removeStale(stale)
+  assert.ifError(err)
+  assert.equal(fs.readFileSync(fileName, 'utf8'), String(process.pid))
+  assert.notOk(fs.existsSync(fileName + '.stale'))
+
+  await first.release()
+  assert.end()
+})
+
+/** @param {number} n */
+function sleep (n) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, n)
+  })
+}
@@ -1,11 +1,16 @@
 // @ts-check
 'use strict'
 
+/* global BigInt */
+
 const path = require('path')
 const os = require('os')
 const fs = require('fs')
+const childProcess = require('child_process')
+const zlib = require('zlib')
 
 const { resultify } = require('../resultify.js')
+const { wrapf, errorf, MultiError } = require('../error.js')
 
 /** @type {import('assert')} */
 const nodeAssert = require('assert')
@@ -15,16 +20,17 @@ const uuid = require('uuid').v4
 
 const AppendOnlyFSLogger = require('../index.js')
 const LogLine = AppendOnlyFSLogger.LogLine
+const {
+  PRODUCT_NAME, makeLogger, sleep, readLines
+} = require('./helpers.js')
 
 const readFile = resultify(fs.readFile)
 const writeFile = resultify(fs.writeFile)
 const open = resultify(fs.open)
 const chmod = resultify(fs.chmod)
 const close = resultify(fs.close)
-const PRODUCT_NAME = 'electron-main'
 
 const smallStr = new Array(1024).join('A')
-const IS_ISO_STRING = /\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d:[0-5]\d\.\d+/
 
 process.on('unhandledRejection', (err) => {
   process.nextTick(() => { throw err })
@@ -240,6 +246,90 @@ test('open on existing file', async (assert) => {
   assert.end()
 })
 
+test('open scans a large existing file in chunks', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const oldLines = []
+  for (let i = 0; i < 3000; i++) {
+    oldLines.push(JSON.stringify({ msg: 'old line', index: i }))
+  }
+  const text = oldLines.join('\n') + '\n'
+  const { err: writeErr } = await writeFile(fileName, text)
+  assert.ifError(writeErr)
+  assert.ok(text.length > 64 * 1024)
+
+  const logger = new AppendOnlyFSLogger(PRODUCT_NAME, {
+    fileName: fileName
+  })
+  assert.equal(logger.getOpenTiming(), null)
+
+  const { err: loggerErr } = await logger.open()
+  assert.ifError(loggerErr)
+
+  assert.equal(logger.fsLogger.lines, 3000)
+  assert.equal(logger.fsLogger.size, text.length)
+
+  const timing = logger.getOpenTiming()
+  assert.ok(timing)
+  if (!timing) return assert.end()
+  assert.equal(timing.bytesScanned, text.length)
+  assert.ok(timing.scanMs >= 0 && timing.scanMs <= timing.totalMs)
+
+  await logger.info('new line', {})
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 3001)
+  assert.equal(logs[2999].index, 2999)
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('truncating does not change the open timing', async (assert) => {
+  const logger = await makeLogger()
+  const timing = logger.getOpenTiming()
+  assert.ok(timing)
+
+  await logger.info('first', {})
+  await logger.info('second', {})
+
+  /** Drops the whole file, which re-opens it. */
+  const fsLogger = logger.fsLogger
+  const { err } = await fsLogger._truncate(fsLogger.size, -1)
+  assert.ifError(err)
+  assert.equal(logger.getOpenTiming(), timing)
+
+  await logger.info('third', {})
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), ['third'])
+
+  await unwrap(logger.destroy())
+  assert.end()
+})
+
+test('open fails on unreadable file', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const { err: writeErr } = await writeFile(fileName, 'some text')
+  assert.ifError(writeErr)
+  const { err: chmodErr } = await chmod(fileName, 0o222)
+  assert.ifError(chmodErr)
+
+  const logger = new AppendOnlyFSLogger(PRODUCT_NAME, {
+    fileName: fileName
+  })
+
+  const { err: loggerErr } = await logger.open()
+  assert.ok(loggerErr)
+  nodeAssert(loggerErr)
+
+  assert.ok(loggerErr.message.startsWith('Could not read old file'))
+  assert.equal(Reflect.get(loggerErr, 'code'), 'EACCES')
+  assert.equal(Reflect.get(loggerErr, 'shouldBail'), false)
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
 // info / warn / error
 test('info level', async (assert) => {
   const logger = await makeLogger()
@@ -303,13 +393,13 @@ test('logging cyclic JSON', async (assert) => {
   })
 
   const logs = await readLogs(logger)
-  assert.equal(logs.length, 0)
-  assert.equal(errors.length, 1)
+  assert.equal(logs.length, 1)
+  assert.equal(errors.length, 0)
   assert.equal(uncaughts.length, 1)
 
-  const msg = errors[0].message
-  assert.ok(msg.includes('_write() threw an unexpected exception:'))
-  assert.ok(msg.includes('Converting circular structure to JSON'))
+  assert.equal(logs[0].fields.msg, 'lol rekt son')
+  assert.equal(logs[0].fields.err.message, 'force uncaught')
+  assert.deepEqual(logs[0].fields.cyclic, { cyclic: '[Circular]' })
 
   process.removeListener('uncaughtException', uncaught)
   assert.end()
@@ -339,6 +429,76 @@ test('logging cyclic JSON', async (assert) => {
   }
 })
 
+test('exotic values in fields are serialized safely', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    maxFieldDepth: 3,
+    maxArrayLength: 2,
+    onError: (err) => { errors.push(err) }
+  })
+
+  logger.info('exotic', {
+    big: BigInt('18446744073709551616'),
+    sym: Symbol('id'),
+    map: new Map(/** @type {[unknown, unknown][]} */ ([
+      ['a', 1], [2, new Set(['x'])]
+    ])),
+    buf: Buffer.alloc(1024),
+    bytes: new Uint16Array(4),
+    list: [1, 2, 3, 4],
+    date: new Date(0),
+    deep: { a: { b: { c: 1 } } },
+    get broken () { throw new Error('no getter') },
+    badJSON: { toJSON () { throw new Error('no json') } },
+    badToJSON: { get toJSON () { throw new Error('no toJSON') } },
+    badKeys: new Proxy({}, {
+      ownKeys () { throw new Error('no keys') }
+    })
+  })
+
+  const logs = await readLogs(logger)
+  assert.equal(errors.length, 0)
+  assert.deepEqual(logs[0].fields, {
+    big: '18446744073709551616',
+    sym: 'Symbol(id)',
+    map: { a: 1, 2: ['x'] },
+    buf: '[Buffer(1024)]',
+    bytes: '[Uint16Array(4)]',
+    list: [1, 2, '[2 more items]'],
+    date: '1970-01-01T00:00:00.000Z',
+    deep: { a: { b: '[Object]' } },
+    broken: '[Threw: no getter]',
+    badJSON: '[Threw: no json]',
+    badToJSON: '[Threw: no toJSON]',
+    badKeys: '[Threw: no keys]'
+  })
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('a throwing sanitizer goes to onError', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    onError: (err) => { errors.push(err) }
+  })
+
+  logger.fsLogger.safeJSON.sanitize = () => {
+    throw new Error('sanitize failed')
+  }
+
+  assert.equal(logger.info('hi', { some: 'fields' }), null)
+  assert.equal(errors.length, 1)
+  assert.ok(/_emit\(\) threw an unexpected exception/
+    .test(errors[0].message))
+  assert.ok(/sanitize failed/.test(errors[0].message))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
 test('error level', async (assert) => {
   const logger = await makeLogger()
 
@@ -354,6 +514,261 @@ test('error level', async (assert) => {
   assert.end()
 })
 
+test('trace, debug and fatal levels', async (assert) => {
+  const logger = await makeLogger({ level: 'trace' })
+
+  await logger.trace('trace msg', { some: 'fields' })
+  await logger.debug('debug msg', { some: 'fields' })
+  await logger.fatal('fatal msg', { some: 'fields' })
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 3)
+  assert.deepEqual(logs.map((l) => l.level), ['trace', 'debug', 'fatal'])
+  assert.equal(logs[2].msg, 'fatal msg')
+  assert.equal(logs[2].fields.some, 'fields')
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('level option filters loglines', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    level: 'warn',
+    onError: (err) => { errors.push(err) }
+  })
+  assert.equal(logger.getLevel(), 'warn')
+
+  const cyclic = {}
+  cyclic.cyclic = cyclic
+
+  assert.equal(logger.debug('debug msg', {}), null)
+  /** Filtered lines are never serialized. */
+  assert.equal(logger.info('info msg', { cyclic: cyclic }), null)
+  logger.warn('warn msg', {})
+  logger.error('error msg', {})
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), ['warn msg', 'error msg'])
+  assert.equal(errors.length, 0)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('default level is info', async (assert) => {
+  const logger = await makeLogger()
+  assert.equal(logger.getLevel(), 'info')
+
+  logger.trace('trace msg', {})
+  logger.debug('debug msg', {})
+  logger.info('info msg', {})
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), ['info msg'])
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('setLevel() at runtime', async (assert) => {
+  const logger = await makeLogger()
+
+  logger.debug('hidden', {})
+  logger.setLevel('debug')
+  logger.debug('visible', {})
+  logger.setLevel('error')
+  logger.warn('hidden again', {})
+  logger.error('still visible', {})
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), ['visible', 'still visible'])
+
+  assert.throws(() => {
+    // @ts-expect-error
+    logger.setLevel('verbose')
+  }, /level must be one of trace, debug, info, warn, error, fatal/)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('invalid levels', async (assert) => {
+  const logger = await makeLogger()
+
+  assert.throws(() => {
+    logger.logIPC('verbose', 'msg', {}, Date.now())
+  }, /verbose\(msg\); unknown level/)
+
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: fileName,
+      // @ts-expect-error
+      level: 'verbose'
+    })
+  }, /options.level must be one of/)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('child loggers bind fields', async (assert) => {
+  const logger = await makeLogger()
+
+  const child = logger.child({ windowId: 1, sessionId: 'abc' })
+  child.info('child msg', { some: 'fields' })
+  child.warn('override', { windowId: 2 })
+  logger.info('parent msg', { some: 'fields' })
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 3)
+  assert.deepEqual(logs[0].fields, {
+    windowId: 1, sessionId: 'abc', some: 'fields'
+  })
+  assert.equal(logs[1].level, 'warn')
+  assert.deepEqual(logs[1].fields, { windowId: 2, sessionId: 'abc' })
+  assert.deepEqual(logs[2].fields, { some: 'fields' })
+
+  /** Parent and child share one write queue. */
+  assert.equal(logger.fsLogger.getWriteCalledCounter(), 2)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('nested child loggers', async (assert) => {
+  const logger = await makeLogger()
+
+  const child = logger.child({ windowId: 1 })
+  const grandChild = child.child({ accountId: 'a1' })
+  const err = new Error('nested error')
+
+  grandChild.error('nested', { err: err })
+  child.info('not nested', {})
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 2)
+  assert.equal(logs[0].fields.windowId, 1)
+  assert.equal(logs[0].fields.accountId, 'a1')
+  assert.equal(logs[0].fields.err.message, 'nested error')
+  assert.deepEqual(logs[1].fields, { windowId: 1 })
+
+  /** Children follow the level of the root logger. */
+  logger.setLevel('error')
+  grandChild.info('filtered', {})
+  const logs2 = await readLogs(logger)
+  assert.equal(logs2.length, 2)
+
+  assert.throws(() => {
+    // @ts-expect-error
+    child.info()
+  }, /info\(msg\); msg is mandatory/)
+  assert.throws(() => {
+    // @ts-expect-error
+    child.info('foo', 'bar')
+  }, /info\(msg, info\); info must be object/)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('child loggers extend the console prefix', async (assert) => {
+  const logger = await makeLogger({ console: true, prefix: 'app ' })
+
+  /** @type {string[]} */
+  const lines = []
+  const consoleLog = console.log
+  console.log = (/** @type {string} */ line) => { lines.push(line) }
+
+  const child = logger.child({ windowId: 1 }, { prefix: 'window' })
+  const grandChild = child.child({}, { prefix: 'sync' })
+  const plainChild = child.child({ accountId: 'a1' })
+
+  child.info('child msg', {})
+  grandChild.info('grand child msg', {})
+  plainChild.info('plain child msg', {})
+
+  console.log = consoleLog
+
+  assert.equal(lines.length, 3)
+  assert.ok(lines[0].startsWith('app window '))
+  assert.ok(lines[1].startsWith('app window sync '))
+  assert.ok(lines[2].startsWith('app window '))
+  assert.ok(lines[2].includes('accountId'))
+
+  await readLogs(logger)
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('redacts fields in file and console output', async (assert) => {
+  const logger = await makeLogger({
+    console: true,
+    redact: {
+      paths: ['headers.authorization', '*.password'],
+      patterns: [/[\w.]+@[\w.]+/]
+    }
+  })
+
+  /** @type {string[]} */
+  const lines = []
+  const consoleLog = console.log
+  console.log = (/** @type {string} */ line) => { lines.push(line) }
+
+  const info = {
+    headers: { authorization: 'Bearer abc' },
+    user: { password: 'hunter2', email: 'bob@example.com' }
+  }
+  logger.info('request', info)
+
+  console.log = consoleLog
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 1)
+  assert.deepEqual(logs[0].fields, {
+    headers: { authorization: '[REDACTED]' },
+    user: { password: '[REDACTED]', email: '[REDACTED]' }
+  })
+  assert.equal(info.user.password, 'hunter2')
+
+  assert.equal(lines.length, 1)
+  assert.notOk(lines[0].includes('hunter2'))
+  assert.notOk(lines[0].includes('bob@example.com'))
+  assert.ok(lines[0].includes('[REDACTED]'))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('a throwing redactor goes to onError', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    redact: { paths: ['token'] },
+    onError: (err) => { errors.push(err) }
+  })
+
+  const redactor = logger.fsLogger.redactor
+  if (!redactor) throw new Error('expected a redactor')
+  redactor.redact = () => {
+    throw new Error('redact failed')
+  }
+
+  assert.equal(logger.info('hi', { token: 'secret' }), null)
+  assert.equal(errors.length, 1)
+  assert.ok(/_emit\(\) threw an unexpected exception/
+    .test(errors[0].message))
+  assert.ok(/redact failed/.test(errors[0].message))
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 0)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
 test('message is mandatory', async (assert) => {
   const logger = await makeLogger()
 
@@ -419,7 +834,7 @@ test('error objects serialize correctly', async function t (assert) {
   assert.end()
 })
 
-test('error objects stack contains cause', async function t (assert) {
+test('error objects contain their cause', async function t (assert) {
   const CustomError = class CustomError extends Error {
     /**
      * @param {Error} cause
@@ -448,19 +863,22 @@ test('error objects stack contains cause', async function t (assert) {
   assert.equal(logs[0].msg, 'oops!')
   assert.equal(logs[0].level, 'error')
   assert.deepEqual(logs[0].fields.err, {
-    __cause: {},
     name: 'Error',
     message: 'wrapped error',
-    stack: customErr.stack + '\nCaused by: ' +
-      baseErr.stack
+    stack: customErr.stack,
+    cause: {
+      name: 'Error',
+      message: 'this is a plain error',
+      stack: baseErr.stack
+    }
   })
 
   const err = logs[0].fields.err
   assert.ok(err.stack.includes('at Test.t '))
   assert.ok(err.stack.includes(__filename))
   assert.ok(err.stack.includes('at makeCustomError '))
-  assert.ok(err.stack.includes('at makeError '))
-  assert.ok(err.stack.includes('this is a plain error'))
+  assert.ok(err.cause.stack.includes('at makeError '))
+  assert.ok(err.cause.stack.includes('this is a plain error'))
 
   unwrap(logger.destroy())
   assert.end()
@@ -475,6 +893,79 @@ test('error objects stack contains cause', async function t (assert) {
   }
 })
 
+test('error objects from error.js serialize structured', async (assert) => {
+  const logger = await makeLogger()
+
+  const ioErr = Object.assign(new Error('ENOENT: no such file'), {
+    code: 'ENOENT', syscall: 'open'
+  })
+  const wrapped = wrapf('could not load config', ioErr, { file: 'a.json' })
+  const multi = new MultiError([
+    errorf('invalid {field}', { field: 'port' }),
+    new Error('plain')
+  ])
+
+  const info = {
+    err: wrapped,
+    nested: { list: [multi, 'not an error'] }
+  }
+  logger.error('oops!', info)
+
+  const logs = await readLogs(logger)
+  const err = logs[0].fields.err
+  assert.equal(err.name, 'WrappedError')
+  assert.equal(err.message, 'could not load config: ENOENT: no such file')
+  assert.equal(err.stack, wrapped.stack)
+  assert.deepEqual(err.info, {
+    code: 'ENOENT', syscall: 'open', file: 'a.json'
+  })
+  assert.deepEqual(err.cause, {
+    name: 'Error',
+    message: 'ENOENT: no such file',
+    code: 'ENOENT',
+    syscall: 'open',
+    stack: ioErr.stack
+  })
+  assert.equal(err.__cause, undefined)
+
+  const list = logs[0].fields.nested.list
+  assert.equal(list[1], 'not an error')
+  assert.equal(list[0].name, 'MultiError')
+  assert.deepEqual(list[0].errors.map((/** @type {any} */ e) => {
+    return [e.name, e.message, e.info]
+  }), [
+    ['StructuredError', 'invalid port', { field: 'port' }],
+    ['Error', 'plain', undefined]
+  ])
+
+  /** The info object of the caller is left alone. */
+  assert.equal(info.err, wrapped)
+  assert.equal(info.nested.list[0], multi)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('error serialization depth is bounded', async (assert) => {
+  const logger = await makeLogger()
+
+  /** @type {Error} */
+  let err = new Error('level 0')
+  for (let i = 1; i < 20; i++) {
+    err = wrapf('level ' + i, err, {})
+  }
+  logger.error('deep', { err: err })
+
+  const logs = await readLogs(logger)
+  let depth = 0
+  for (let e = logs[0].fields.err; e.cause; e = e.cause) depth++
+  /** The fields are at depth 0, so 7 of the 19 causes fit. */
+  assert.equal(depth, 7)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
 // concurrent logs tests
 test('concurrent writes are batched', async (assert) => {
   const logger = await makeLogger()
@@ -511,23 +1002,138 @@ test('queuing up many large log writes at once', async (assert) => {
   assert.end()
 })
 
-// _write tests
-test('must open before logging', async function t (assert) {
-  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
-
-  const logger = new AppendOnlyFSLogger(PRODUCT_NAME, {
-    fileName: fileName
+test('queue drops newest lines over maxQueuedLines', async (assert) => {
+  const logger = await makeLogger({
+    maxQueuedLines: 3,
+    queuePolicy: 'drop-newest'
   })
 
-  assert.throws(() => {
-    // @ts-expect-error
-    logger.info('foo')
-  }, /Must call open\(\) first/)
+  for (let i = 0; i < 10; i++) {
+    logger.info('a simple msg', { index: i })
+  }
+  await logger.flush()
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.fields.index), [
+    0, 1, 2, 3, undefined
+  ])
+  assert.equal(logs[4].level, 'warn')
+  assert.equal(logs[4].msg, 'dropped log lines')
+  assert.deepEqual(logs[4].fields, { count: 6, queuePolicy: 'drop-newest' })
+  assert.equal(logger.fsLogger.droppedLines, 0)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('queue drops oldest lines over maxQueuedBytes', async (assert) => {
+  const logger = await makeLogger({
+    maxQueuedBytes: 1024
+  })
+
+  for (let i = 0; i < 20; i++) {
+    logger.info('a simple msg', { index: i })
+  }
+  assert.ok(logger.fsLogger.pendingBytes <= 1024)
+  await logger.flush()
+
+  const logs = await readLogs(logger)
+  const indexes = logs.slice(0, -1).map((l) => l.fields.index)
+  assert.equal(indexes[0], 0)
+  assert.equal(indexes[indexes.length - 1], 19)
+  assert.deepEqual(logs[logs.length - 1].fields, {
+    count: 20 - indexes.length, queuePolicy: 'drop-oldest'
+  })
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('queue policy block keeps every line', async (assert) => {
+  const logger = await makeLogger({
+    maxQueuedLines: 3,
+    queuePolicy: 'block'
+  })
+
+  const fsLogger = logger.fsLogger
+  let maxPending = 0
+  const enqueue = fsLogger._enqueue
+  fsLogger._enqueue = (str) => {
+    enqueue.call(fsLogger, str)
+    maxPending = Math.max(maxPending, fsLogger.pendingWrites.length)
+  }
+
+  /** @type {(Promise<unknown> | null)[]} */
+  const writes = []
+  for (let i = 0; i < 1000; i++) {
+    writes.push(logger.info('a simple msg', { index: i }))
+  }
+  assert.ok(fsLogger.blockedWrites.length > 900)
+
+  /** Resolves only once the line got written. */
+  await writes[writes.length - 1]
+  assert.equal(fsLogger.blockedWrites.length, 0)
+  assert.equal(fsLogger.pendingWrites.length, 0)
+  assert.equal(fsLogger.lines, 1000)
+  await Promise.all(writes)
+
+  assert.ok(maxPending > 0 && maxPending <= 3)
+  assert.equal(fsLogger.getStats().droppedLines, 0)
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.fields.index), indexesUpTo(1000, 999))
+
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: logger.fsLogger.logFileLocation,
+      // @ts-expect-error
+      queuePolicy: 'wait'
+    })
+  }, /options.queuePolicy must be/)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+// _write tests
+test('flushSync() writes blocked loglines', async (assert) => {
+  const logger = await makeLogger({
+    maxQueuedLines: 2,
+    queuePolicy: 'block'
+  })
+
+  for (let i = 0; i < 10; i++) {
+    logger.info('a simple msg', { index: i })
+  }
+  assert.ok(logger.fsLogger.blockedWrites.length > 0)
+
+  const { err } = logger.flushSync()
+  assert.ifError(err)
+  assert.equal(logger.fsLogger.blockedWrites.length, 0)
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.fields.index), indexesUpTo(10, 9))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('must open before logging', async function t (assert) {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const logger = new AppendOnlyFSLogger(PRODUCT_NAME, {
+    fileName: fileName
+  })
+
+  assert.throws(() => {
+    // @ts-expect-error
+    logger.info('foo')
+  }, /Must call open\(\) first/)
 
   assert.end()
 })
 
-test('writing to fd===null', async function t (assert) {
+test('writing to fd===null re-opens the file', async function t (assert) {
   /** @type {Error[]} */
   const errors = []
   const logger = await makeLogger({
@@ -550,13 +1156,13 @@ test('writing to fd===null', async function t (assert) {
   logger.info('hello', {})
 
   const logs = await readLogs(logger)
-  assert.equal(logs.length, 0)
-  assert.equal(errors.length, 1)
-
-  assert.equal(
-    errors[0].message,
-    '_flush() could not write, fd is null'
-  )
+  assert.deepEqual(logs.map((l) => l.msg), [
+    'log file was re-opened', 'hello'
+  ])
+  assert.equal(logs[0].level, 'warn')
+  assert.equal(logs[0].fields.reason, 'fd lost')
+  assert.equal(logs[0].fields.attempts, 1)
+  assert.equal(errors.length, 0)
 
   process.removeListener('uncaughtException', uncaught)
   assert.end()
@@ -573,6 +1179,205 @@ test('writing to fd===null', async function t (assert) {
   }
 })
 
+test('re-opens a removed or replaced log file', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    onError: (err) => { errors.push(err) }
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  await logger.info('first', {})
+  fs.unlinkSync(fileName)
+
+  /**
+   * Skip waiting for the next check of the file. The line written
+   * before noticing the file is gone is lost.
+   */
+  logger.fsLogger.nextFileCheck = 0
+  await logger.info('lost', {})
+  await logger.info('second', {})
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), [
+    'log file was re-opened', 'second'
+  ])
+  assert.equal(logs[0].fields.reason, 'file missing')
+
+  const otherLine = JSON.stringify({ msg: 'other' })
+  fs.writeFileSync(fileName + '.other', otherLine + '\n')
+  fs.renameSync(fileName + '.other', fileName)
+
+  logger.fsLogger.nextFileCheck = 0
+  await logger.info('lost', {})
+  await logger.info('third', {})
+
+  const logs2 = await readLogs(logger)
+  assert.deepEqual(logs2.map((l) => l.msg), [
+    'other', 'log file was re-opened', 'third'
+  ])
+  assert.equal(logs2[1].fields.reason, 'file replaced')
+  assert.equal(errors.length, 0)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('re-opening the file retries with backoff', async (assert) => {
+  const dirname = path.join(os.tmpdir(), uuid())
+  fs.mkdirSync(dirname)
+
+  /** @type {Error[]} */
+  const errors = []
+  const logger = new AppendOnlyFSLogger(PRODUCT_NAME, {
+    fileName: path.join(dirname, 'logs.json'),
+    onError: (err) => { errors.push(err) }
+  })
+  await unwrap(logger.open())
+
+  await logger.info('first', {})
+  fs.unlinkSync(logger.fsLogger.logFileLocation)
+  fs.chmodSync(dirname, 0o555)
+
+  logger.fsLogger.nextFileCheck = 0
+  await logger.info('lost', {})
+  await logger.info('second', {})
+  assert.equal(errors.length, 1)
+  assert.ok(/^_recover\(\): could not re-open log file/.test(
+    errors[0].message
+  ))
+
+  /** Waits for the backoff instead of failing again. */
+  await logger.info('third', {})
+  assert.equal(errors.length, 1)
+  assert.equal(logger.fsLogger.pendingWrites.length, 2)
+
+  fs.chmodSync(dirname, 0o755)
+  for (let i = 0; i < 100 && logger.fsLogger.recovery; i++) {
+    await sleep(25)
+  }
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), [
+    'log file was re-opened', 'second', 'third'
+  ])
+  assert.equal(logs[0].fields.reason, 'file missing')
+  assert.equal(logs[0].fields.attempts, 2)
+  assert.equal(errors.length, 1)
+
+  await unwrap(logger.destroy())
+  fs.rmdirSync(dirname)
+  assert.end()
+})
+
+test('flushSync() writes pending lines', async (assert) => {
+  const logger = await makeLogger()
+
+  logger.info('first', {})
+  logger.info('second', {})
+  logger.info('third', {})
+
+  /** The first line is inflight, the others are pending. */
+  assert.equal(logger.fsLogger.pendingWrites.length, 2)
+  const { err } = logger.flushSync()
+  assert.ifError(err)
+
+  const str = fs.readFileSync(logger.fsLogger.logFileLocation, 'utf8')
+  assert.deepEqual(str.split('\n').filter(Boolean).map((line) => {
+    return JSON.parse(line).msg
+  }), ['first', 'second', 'third'])
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 3)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('flushSync() keeps the lock of a running flush', async (assert) => {
+  const logger = await makeLogger({ shared: true })
+  const fsLogger = logger.fsLogger
+  const lockFile = fsLogger.logFileLocation + '.lock'
+
+  /** @type {boolean[]} */
+  const locked = []
+  const _writePending = fsLogger._writePending
+  fsLogger._writePending = function () {
+    fsLogger._writePending = _writePending
+
+    assert.ifError(fsLogger.flushSync().err)
+    locked.push(fs.existsSync(lockFile))
+    return _writePending.call(this)
+  }
+
+  await logger.info('first', {})
+  assert.deepEqual(locked, [true])
+  assert.notOk(fs.existsSync(lockFile))
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.msg), ['first'])
+
+  /** When exiting the lock must not outlive the process. */
+  const lock = fsLogger.lock
+  if (!lock) throw new Error('expected a lock')
+  const { err } = await lock.acquire()
+  assert.ifError(err)
+  assert.ifError(fsLogger.flushSync({ exiting: true }).err)
+  assert.notOk(fs.existsSync(lockFile))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('exit handlers flush on process.exit()', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const { code } = await runExitFixture(fileName, 'exit')
+  assert.equal(code, 3)
+
+  const lines = readLines(fileName)
+  assert.equal(lines.length, 1)
+  assert.equal(lines[0].msg, 'before crash')
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('exit handlers log uncaught exceptions', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const { code, stderr } = await runExitFixture(fileName, 'throw')
+  assert.equal(code, 1)
+  assert.ok(stderr.includes('Error: boom'))
+
+  const lines = readLines(fileName)
+  assert.equal(lines.length, 2)
+  assert.equal(lines[0].msg, 'before crash')
+  assert.equal(lines[1].level, 'fatal')
+  assert.equal(lines[1].msg, 'uncaught exception')
+  assert.equal(lines[1].fields.err.message, 'boom')
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('exit handlers log unhandled rejections', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const { code, stderr } = await runExitFixture(fileName, 'reject')
+  assert.equal(code, 1)
+  assert.ok(stderr.includes('Error: rejected'))
+
+  const lines = readLines(fileName)
+  assert.equal(lines.length, 2)
+  assert.equal(lines[1].level, 'fatal')
+  assert.equal(lines[1].msg, 'unhandled rejection')
+  assert.equal(lines[1].fields.err.message, 'rejected')
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
 test('truncates logline > MAX_LOG_LINE_SIZE', async (assert) => {
   const logger = await makeLogger()
   const largeStr = new Array(128).join(smallStr)
@@ -584,20 +1389,14 @@ test('truncates logline > MAX_LOG_LINE_SIZE', async (assert) => {
   const lines = await readLogs(logger)
   assert.equal(lines.length, 1)
   assert.equal(lines[0].msg, 'a really large msg')
-  assert.equal(lines[0].fields.isTruncated, true)
-  assert.ok(lines[0].truncated)
-  assert.ok(lines[0].truncated.endsWith('...'))
-
-  const trunc = lines[0].truncated.slice(0, 200)
-    .replace(IS_ISO_STRING, '')
+  assert.equal(lines[0].truncated, undefined)
+  assert.deepEqual(lines[0].truncatedPaths, ['largeStr'])
+  assert.ok(lines[0].fields.largeStr.startsWith('AAAAAA'))
+  assert.ok(lines[0].fields.largeStr.endsWith('A...'))
 
-  assert.ok(trunc.startsWith(
-    `{"name":"electron-main","hostname":"${os.hostname()}",` +
-    `"pid":${process.pid},"level":"info","msg":"a really large msg",` +
-    '"time":"Z","v":1,"fields":' +
-    '{"largeStr":"AAAAAA'
-  ))
-  assert.equal(lines[0].truncated.length, 32 * 1024)
+  const length = JSON.stringify(lines[0]).length
+  assert.ok(length <= 32 * 1024)
+  assert.ok(length > 32 * 1024 - 64)
 
   unwrap(logger.destroy())
   assert.end()
@@ -883,16 +1682,15 @@ test('truncated file truncates more if last line is long', async (assert) => {
   await lastWrite
 
   const logs2 = await readLogs(logger)
-  assert.ok(logs2.length >= 881 && logs2.length <= 882)
+  assert.ok(logs2.length >= 879 && logs2.length <= 880)
 
   const cassert = new CollapsedAssert()
   for (let i = 0; i < logs2.length; i++) {
-    cassert.ok(logs2[i].fields.isTruncated)
-    cassert.ok(logs2[i].truncated.includes(
-      `"index":${3213 + i}`
-    ) || logs2[i].truncated.includes((
-      `"index":${3214 + i}`
-    )))
+    cassert.equal(logs2[i].truncatedPaths.join(','), 'largeStr')
+    cassert.ok(
+      logs2[i].fields.index === 3215 + i ||
+      logs2[i].fields.index === 3216 + i
+    )
   }
   cassert.report(assert, 'all indexes correct')
 
@@ -900,67 +1698,847 @@ test('truncated file truncates more if last line is long', async (assert) => {
   assert.end()
 })
 
-/** @param {number} n */
-function sleep (n) {
-  return new Promise((resolve) => {
-    setTimeout(resolve, n)
+test('limits must be positive integers', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: fileName, maxLines: -1
+    })
+  }, /options.maxLines must be a positive integer/)
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: fileName, maxFileSize: 1.5
+    })
+  }, /options.maxFileSize must be a positive integer/)
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: fileName, truncateFraction: 1
+    })
+  }, /options.truncateFraction must be a number between 0 and 1/)
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: fileName, maxFileSize: 1024, maxLineSize: 2048
+    })
+  }, /options.maxLineSize must not exceed options.maxFileSize/)
+
+  assert.end()
+})
+
+test('truncates file on custom maxLines', async (assert) => {
+  const logger = await makeLogger({
+    maxLines: 100,
+    truncateFraction: 0.5
   })
-}
 
-/** @param {AppendOnlyFSLogger} logger */
-async function readLogs (logger) {
-  await sleep(25)
-  const { err, data: buf } =
-    await readFile(logger.fsLogger.logFileLocation)
-  if (err) {
-    throw err
+  for (let i = 0; i < 99; i++) {
+    logger.info('normal msg', { index: i })
   }
 
-  /** @type {string} */
-  const str = buf.toString('utf8')
-  const lines = str.split('\n').filter(Boolean)
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 99)
 
-  const fsLogger = logger.fsLogger
+  await logger.info('normal msg', { index: 99 })
 
-  if (lines.length !== fsLogger.lines) {
-    throw new Error('logger.lines invalid')
-  }
-  if (Buffer.byteLength(str) !== fsLogger.size) {
-    throw new Error('logger.size invalid')
-  }
-  if (fsLogger.newLineOffsets.length !== fsLogger.lines) {
-    throw new Error('logger.newLineOffsets invalid')
-  }
+  const logs2 = await readLogs(logger)
+  assert.equal(logs2.length, 49)
+  assert.equal(logs2[0].fields.index, 51)
+  assert.equal(logs2[logs2.length - 1].fields.index, 99)
 
-  const newLineByte = '\n'.charCodeAt(0)
-  for (const offset of fsLogger.newLineOffsets) {
-    if (buf[offset] !== newLineByte) {
-      throw new Error('logger.newLineOffsets invalid')
-    }
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('truncates file on custom maxFileSize', async (assert) => {
+  const logger = await makeLogger({
+    maxFileSize: 64 * 1024,
+    maxLineSize: 4 * 1024
+  })
+  const largeStr = new Array(2 + 1).join(smallStr)
+
+  for (let i = 0; i < 40; i++) {
+    await logger.info('normal msg', {
+      largeStr: largeStr, index: i
+    })
   }
 
-  return lines.map((s) => {
-    return JSON.parse(s.trim())
+  const logs = await readLogs(logger)
+  assert.ok(logs.length < 40)
+  assert.ok(logger.fsLogger.size < 64 * 1024)
+  assert.ok(logger.fsLogger.size >= 48 * 1024 - 4 * 1024)
+  assert.equal(logs[logs.length - 1].fields.index, 39)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('truncates logline > custom maxLineSize', async (assert) => {
+  const logger = await makeLogger({
+    maxLineSize: 1024
   })
-}
 
-/**
- * @param {{
- *    onError?: (err: Error) => void
- * }} [options]
- */
-async function makeLogger (options) {
-  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+  logger.info('a large msg', {
+    largeStr: smallStr
+  })
 
-  const logger = new AppendOnlyFSLogger(PRODUCT_NAME, {
-    fileName: fileName,
-    onError: options ? options.onError : undefined
+  const lines = await readLogs(logger)
+  assert.equal(lines.length, 1)
+  assert.deepEqual(lines[0].truncatedPaths, ['largeStr'])
+  assert.ok(lines[0].fields.largeStr.endsWith('A...'))
+  assert.ok(JSON.stringify(lines[0]).length <= 1024)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('truncates the largest fields of a logline first', async (assert) => {
+  const logger = await makeLogger({
+    maxLineSize: 2048
   })
 
-  const { err } = await logger.open()
-  if (err) throw err
+  logger.info('a large msg', {
+    requestId: 'abc',
+    small: 'A'.repeat(100),
+    body: smallStr + smallStr + smallStr + smallStr,
+    nested: {
+      items: new Array(100).fill('item-with-some-text')
+    }
+  })
+
+  const lines = await readLogs(logger)
+  assert.equal(lines.length, 1)
+  assert.ok(JSON.stringify(lines[0]).length <= 2048)
+  assert.equal(lines[0].level, 'warn')
+  assert.equal(lines[0].truncated, undefined)
+
+  const fields = lines[0].fields
+  assert.equal(fields.requestId, 'abc')
+  assert.equal(fields.small, 'A'.repeat(100))
+  assert.deepEqual(lines[0].truncatedPaths, ['body', 'nested.items'])
+  assert.equal(fields.body, '...')
+
+  const items = fields.nested.items
+  assert.ok(items.length > 10 && items.length < 100)
+  assert.equal(items[0], 'item-with-some-text')
+  assert.equal(items[items.length - 1],
+    `[${100 - items.length + 1} more items]`)
 
-  return logger
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('falls back to a truncated string for a huge msg', async (assert) => {
+  const logger = await makeLogger({
+    maxLineSize: 1024
+  })
+
+  logger.info(smallStr + smallStr, {
+    index: 1
+  })
+
+  const lines = await readLogs(logger)
+  assert.equal(lines.length, 1)
+  assert.equal(lines[0].fields.isTruncated, true)
+  assert.equal(lines[0].truncatedPaths, undefined)
+  assert.ok(lines[0].truncated.endsWith('...'))
+  assert.equal(lines[0].truncated.length, 1024)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('writes loglines as logfmt', async (assert) => {
+  const logger = await makeLogger({ formatter: 'logfmt' })
+
+  logger.info('request done', {
+    status: 200,
+    user: { id: 4, name: 'Jane Doe' },
+    tags: ['a', 'b'],
+    msg: 'two\nlines'
+  })
+
+  const lines = await readRawLines(logger)
+  assert.equal(lines.length, 1)
+  assert.ok(lines[0].startsWith(
+    `name=electron-main hostname=${os.hostname()} pid=${process.pid} ` +
+    'level=info msg="request done" time='
+  ))
+  assert.ok(lines[0].endsWith(
+    ' v=1 status=200 user.id=4 user.name="Jane Doe" ' +
+    'tags="[\\"a\\",\\"b\\"]" fields.msg="two\\nlines"'
+  ))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('text loglines stay one line when truncating', async (assert) => {
+  const logger = await makeLogger({
+    formatter: 'text',
+    maxLines: 10,
+    truncateFraction: 0.5
+  })
+
+  for (let i = 0; i < 30; i++) {
+    await logger.info(`line ${i}\nmore`, { index: i })
+  }
+  await logger.warn('large', { largeStr: new Array(64).join(smallStr) })
+
+  const lines = await readRawLines(logger)
+  assert.equal(lines.length, 7)
+  assert.ok(lines[0].endsWith(
+    ` INFO  electron-main[${process.pid}]: line 24\\nmore {"index":24}`
+  ))
+
+  const last = lines[lines.length - 1]
+  assert.ok(last.length <= 32 * 1024)
+  assert.ok(last.includes(` WARN  electron-main[${process.pid}]: large `))
+  assert.ok(last.endsWith('..."} truncatedPaths="[\\"largeStr\\"]"'))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('writes loglines with a custom formatter', async (assert) => {
+  const logger = await makeLogger({
+    formatter: (logLine) => {
+      return `${logLine.level}|${logLine.msg}\r\n`
+    }
+  })
+
+  logger.info('first', {})
+  logger.warn('second', { ignored: true })
+
+  const lines = await readRawLines(logger)
+  assert.deepEqual(lines, ['info|first\\r\\n', 'warn|second\\r\\n'])
+
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: logger.fsLogger.logFileLocation,
+      // @ts-expect-error
+      formatter: 'xml'
+    })
+  }, /options.formatter must be "ndjson", "logfmt", "text" or a function/)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('writes the time in milliseconds since epoch', async (assert) => {
+  const logger = await makeLogger({ timeFormat: 'epoch' })
+
+  const before = Date.now()
+  logger.info('first', {})
+  const after = Date.now()
+
+  const logs = await readLogs(logger)
+  assert.equal(typeof logs[0].time, 'number')
+  assert.ok(logs[0].time >= before && logs[0].time <= after)
+  assert.equal(logs[0].seq, undefined)
+
+  assert.throws(() => {
+    return new AppendOnlyFSLogger(PRODUCT_NAME, {
+      fileName: logger.fsLogger.logFileLocation,
+      // @ts-expect-error
+      timeFormat: 'unix'
+    })
+  }, /options.timeFormat must be "iso", "epoch" or "iso-micro"/)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('numbers loglines with microsecond timestamps', async (assert) => {
+  const logger = await makeLogger({
+    timeFormat: 'iso-micro',
+    seq: true
+  })
+  const child = logger.child({ component: 'child' })
+
+  for (let i = 0; i < 20; i++) {
+    logger.info('parent', { index: i })
+    child.info('child', { index: i })
+  }
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.seq), indexesUpTo(40, 40))
+
+  const times = logs.map((l) => l.time)
+  assert.ok(times.every((t) => /^\d{4}-.+T.+\.\d{6}Z$/.test(t)))
+  assert.ok(times.every((t) => !isNaN(Date.parse(t))))
+  assert.deepEqual(times.slice().sort(), times)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('dedupe collapses repeated loglines', async (assert) => {
+  const logger = await makeLogger({
+    dedupeWindow: 5000
+  })
+
+  for (let i = 0; i < 5; i++) {
+    await logger.info('same msg', { id: 1 })
+    await sleep(10)
+  }
+
+  /** The repeats are held back, only the first line is written. */
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => [l.fields.id, l.repeat]), [
+    [1, undefined]
+  ])
+
+  await logger.info('same msg', { id: 2 })
+  await logger.warn('same msg', { id: 2 })
+
+  const logs2 = await readLogs(logger)
+  assert.deepEqual(logs2.map((l) => [l.level, l.fields.id, l.repeat]), [
+    ['info', 1, undefined],
+    ['info', 1, 4],
+    ['info', 2, undefined],
+    ['warn', 2, undefined]
+  ])
+  assert.equal(logs2[1].lastTime, logs2[1].time)
+  assert.ok(logs2[1].firstTime > logs2[0].time)
+  assert.ok(logs2[1].lastTime > logs2[1].firstTime)
+  assert.equal(logs2[2].firstTime, undefined)
+  assert.deepEqual(logger.getStats().linesByLevel, { info: 6, warn: 1 })
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('dedupe writes the repeats when the window is over', async (assert) => {
+  const logger = await makeLogger({
+    dedupeWindow: 100
+  })
+
+  for (let i = 0; i < 3; i++) {
+    await logger.info('same msg', { id: 1 })
+    await sleep(10)
+  }
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.repeat), [undefined])
+
+  await sleep(100)
+  const logs2 = await readLogs(logger)
+  assert.deepEqual(logs2.map((l) => l.repeat), [undefined, 2])
+
+  /** A new window starts with the next line. */
+  await logger.info('same msg', { id: 1 })
+  const logs3 = await readLogs(logger)
+  assert.deepEqual(logs3.map((l) => l.repeat), [undefined, 2, undefined])
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('dedupe only within the window', async (assert) => {
+  const logger = await makeLogger({
+    dedupeWindow: 1000
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  const time = Date.now()
+  for (let i = 0; i < 4; i++) {
+    logger.fsLogger._write(logger.fsLogger.createLogLine(
+      'info', 'same msg', { id: 1 }, time + i * 600
+    ))
+  }
+  await logger.flush()
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.repeat), [undefined, 1, undefined])
+  assert.equal(logs[1].firstTime, new Date(time + 600).toISOString())
+  assert.equal(logs[1].lastTime, new Date(time + 600).toISOString())
+
+  /** close() writes the repeats still held back. */
+  await unwrap(logger.close())
+  const lines = readLines(fileName)
+  assert.deepEqual(lines.map((l) => l.repeat), [undefined, 1, undefined, 1])
+  assert.equal(lines[3].lastTime, new Date(time + 1800).toISOString())
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('flushSync() writes repeated loglines', async (assert) => {
+  const logger = await makeLogger({
+    dedupeWindow: 1000
+  })
+
+  for (let i = 0; i < 10; i++) {
+    logger.info('same msg', { id: 1 })
+  }
+
+  const { err } = logger.flushSync()
+  assert.ifError(err)
+
+  const logs = await readLogs(logger)
+  assert.deepEqual(logs.map((l) => l.repeat), [undefined, 9])
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('no dedupe by default', async (assert) => {
+  const logger = await makeLogger()
+
+  for (let i = 0; i < 5; i++) {
+    logger.info('same msg', { id: 1 })
+  }
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 5)
+  assert.ok(logs.every((l) => l.repeat === undefined))
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('getStats() reports the health of the logger', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    maxLines: 10,
+    maxLineSize: 1024,
+    truncateFraction: 0.5,
+    rateLimit: { maxPerSecond: 5 },
+    onError: (err) => { errors.push(err) }
+  })
+
+  const empty = logger.getStats()
+  assert.deepEqual(empty.linesByLevel, {})
+  assert.equal(empty.flushLatency.count, 0)
+  assert.equal(empty.lastError, null)
+
+  for (let i = 0; i < 8; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+  await logger.warn('a large msg', { largeStr: smallStr })
+  for (let i = 0; i < 4; i++) {
+    await logger.error(`error msg ${i}`, {})
+  }
+
+  logger.addSink({
+    write: () => { throw new Error('broken sink') }
+  })
+  await logger.info('one more', {})
+
+  const stats = logger.getStats()
+  assert.deepEqual(stats.linesByLevel, { info: 6, warn: 1, error: 4 })
+  assert.equal(stats.lines, logger.fsLogger.lines)
+  assert.equal(stats.size, logger.fsLogger.size)
+  assert.ok(stats.bytesWritten > stats.size)
+  assert.equal(stats.pendingLines, 0)
+  assert.equal(stats.truncatedLines, 1)
+  assert.equal(stats.suppressedLines, 3)
+  assert.equal(stats.droppedLines, 0)
+  assert.equal(stats.truncations, 1)
+  assert.ok(stats.truncateMs >= stats.lastTruncateMs)
+  assert.ok(stats.lastTruncateMs > 0)
+  assert.equal(stats.rotations, 0)
+
+  const buckets = Object.values(stats.flushLatency.buckets)
+  assert.equal(stats.flushLatency.count, 11)
+  assert.equal(buckets.reduce((a, b) => a + b, 0), 11)
+
+  assert.equal(errors.length, 1)
+  assert.equal(stats.lastError, errors[0])
+  assert.ok(/sink.write\(\) threw/.test(errors[0].message))
+  assert.equal(typeof stats.lastErrorTime, 'number')
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('rotatedFileName()', async (assert) => {
+  const rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+
+  assert.equal(rotatedFileName('/a/logs.ndjson', 1), '/a/logs.1.ndjson')
+  assert.equal(rotatedFileName('/a/logs.ndjson', 12), '/a/logs.12.ndjson')
+  assert.equal(rotatedFileName('/a/logs', 2), '/a/logs.2')
+
+  assert.end()
+})
+
+test('rotates file on maxLines', async (assert) => {
+  const logger = await makeLogger({
+    retention: 'rotate',
+    maxLines: 10,
+    maxFiles: 2
+  })
+  const fileName = logger.fsLogger.logFileLocation
+  const rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+
+  for (let i = 0; i < 35; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  const logs = await readLogs(logger)
+  assert.equal(logs.length, 5)
+  assert.equal(logs[0].fields.index, 30)
+
+  const first = readLines(rotatedFileName(fileName, 1))
+  assert.equal(first.length, 10)
+  assert.equal(first[0].fields.index, 20)
+  assert.equal(first[9].fields.index, 29)
+
+  const second = readLines(rotatedFileName(fileName, 2))
+  assert.equal(second.length, 10)
+  assert.equal(second[0].fields.index, 10)
+
+  assert.notOk(fs.existsSync(rotatedFileName(fileName, 3)))
+
+  await unwrap(logger.destroy())
+  assert.notOk(fs.existsSync(rotatedFileName(fileName, 1)))
+  assert.notOk(fs.existsSync(rotatedFileName(fileName, 2)))
+  assert.end()
+})
+
+test('rotation removes files over maxTotalSize', async (assert) => {
+  const logger = await makeLogger({
+    retention: 'rotate',
+    maxFileSize: 16 * 1024,
+    maxLineSize: 4 * 1024,
+    maxTotalSize: 40 * 1024,
+    maxFiles: 5
+  })
+  const fileName = logger.fsLogger.logFileLocation
+  const rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+
+  for (let i = 0; i < 50; i++) {
+    await logger.info('normal msg', { smallStr: smallStr, index: i })
+  }
+
+  let totalSize = logger.fsLogger.size
+  for (let i = 1; i <= 5; i++) {
+    const rotated = rotatedFileName(fileName, i)
+    if (fs.existsSync(rotated)) {
+      totalSize += fs.statSync(rotated).size
+    }
+  }
+
+  assert.ok(fs.existsSync(rotatedFileName(fileName, 1)))
+  assert.notOk(fs.existsSync(rotatedFileName(fileName, 3)))
+  assert.ok(totalSize <= 40 * 1024)
+
+  unwrap(logger.destroy())
+  assert.end()
+})
+
+test('compresses truncated lines into archives', async (assert) => {
+  const logger = await makeLogger({
+    compress: true,
+    maxLines: 10,
+    truncateFraction: 0.5
+  })
+  const fileName = logger.fsLogger.logFileLocation
+  const rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+
+  for (let i = 0; i < 30; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  /** Every time the file reaches 10 lines the oldest 6 get archived. */
+  const archives = [1, 2, 3, 4].map((i) => {
+    return rotatedFileName(fileName, i) + '.gz'
+  })
+  assert.ok(archives.every((f) => fs.existsSync(f)))
+  assert.notOk(fs.existsSync(rotatedFileName(fileName, 5) + '.gz'))
+
+  const oldest = zlib.gunzipSync(fs.readFileSync(archives[3]))
+    .toString('utf8').split('\n').filter(Boolean).map((l) => JSON.parse(l))
+  assert.deepEqual(oldest.map((l) => l.fields.index), [0, 1, 2, 3, 4, 5])
+
+  const reader = new AppendOnlyFSLogger.LogReader(fileName)
+  const { err, data: records } = await reader.read()
+  assert.ifError(err)
+  assert.deepEqual((records || []).map((r) => r.fields.index),
+    indexesUpTo(30, 29))
+
+  await unwrap(logger.destroy())
+  assert.notOk(archives.some((f) => fs.existsSync(f)))
+  assert.end()
+})
+
+test('archives stay within maxArchiveSize', async (assert) => {
+  const logger = await makeLogger({
+    compress: true,
+    maxLines: 20,
+    truncateFraction: 0.5,
+    maxArchiveSize: 8 * 1024
+  })
+  const fileName = logger.fsLogger.logFileLocation
+  const rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+
+  for (let i = 0; i < 200; i++) {
+    const ids = []
+    for (let j = 0; j < 10; j++) ids.push(uuid())
+    await logger.info('normal msg', { ids: ids, index: i })
+  }
+
+  let totalSize = 0
+  let count = 0
+  while (fs.existsSync(rotatedFileName(fileName, count + 1) + '.gz')) {
+    count++
+    totalSize += fs.statSync(rotatedFileName(fileName, count) + '.gz').size
+  }
+
+  assert.ok(count >= 1)
+  assert.ok(count < 18, 'oldest archives were removed')
+  assert.ok(totalSize <= 8 * 1024)
+
+  await unwrap(logger.destroy())
+  assert.end()
+})
+
+test('rotation compresses rotated files', async (assert) => {
+  const logger = await makeLogger({
+    compress: true,
+    retention: 'rotate',
+    maxLines: 5,
+    maxFiles: 3
+  })
+  const fileName = logger.fsLogger.logFileLocation
+  const rotatedFileName = AppendOnlyFSLogger.rotatedFileName
+
+  for (let i = 0; i < 17; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  for (const i of [1, 2, 3]) {
+    assert.ok(fs.existsSync(rotatedFileName(fileName, i) + '.gz'))
+    assert.notOk(fs.existsSync(rotatedFileName(fileName, i)))
+  }
+
+  const reader = new AppendOnlyFSLogger.LogReader(fileName)
+  const { err, data: records } = await reader.read()
+  assert.ifError(err)
+  assert.deepEqual((records || []).map((r) => r.fields.index),
+    indexesUpTo(17, 16))
+
+  await unwrap(logger.destroy())
+  assert.notOk(fs.existsSync(rotatedFileName(fileName, 1) + '.gz'))
+  assert.end()
+})
+
+test('shared loggers keep each others lines', async (assert) => {
+  const logger = await makeLogger({
+    shared: true,
+    maxLines: 20,
+    truncateFraction: 0.5
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  const logger2 = new AppendOnlyFSLogger(PRODUCT_NAME, {
+    fileName: fileName,
+    shared: true,
+    maxLines: 20,
+    truncateFraction: 0.5
+  })
+  await unwrap(logger2.open())
+
+  for (let i = 0; i < 30; i++) {
+    await Promise.all([
+      logger.info('first logger', { index: i }),
+      logger2.info('second logger', { index: i })
+    ])
+  }
+  await logger.info('first logger', { index: 30 })
+
+  const lines = await readLogs(logger)
+  assert.ok(lines.length < 20)
+  assert.notOk(fs.existsSync(fileName + '.lock'))
+
+  /**
+   * Truncation only ever drops the oldest lines, so each logger
+   * must have an unbroken run of lines up to its last one.
+   */
+  const first = lines.filter((l) => l.msg === 'first logger')
+  const second = lines.filter((l) => l.msg === 'second logger')
+  assert.deepEqual(indexesUpTo(first.length, 30),
+    first.map((l) => l.fields.index))
+  assert.deepEqual(indexesUpTo(second.length, 29),
+    second.map((l) => l.fields.index))
+
+  await logger2.info('second logger', { index: 30 })
+  assert.equal(logger2.fsLogger.lines, lines.length + 1)
+  assert.equal(logger2.fsLogger.size, fs.statSync(fileName).size)
+
+  await close(logger2.fsLogger.fd)
+  await unwrap(logger.destroy())
+  assert.end()
+})
+
+test('shared logger does not fight itself for the lock', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    shared: true,
+    onError: (err) => { errors.push(err) }
+  })
+  const fsLogger = logger.fsLogger
+
+  let running = 0
+  let maxRunning = 0
+  const _flush = fsLogger._flush
+  fsLogger._flush = async function () {
+    running++
+    maxRunning = Math.max(maxRunning, running)
+    const r = await _flush.call(this)
+    running--
+    return r
+  }
+
+  /** @type {(Promise<unknown> | null)[]} */
+  const writes = []
+  for (let i = 0; i < 300; i++) {
+    writes.push(logger.info('normal msg', { index: i }))
+    if (i % 7 === 0) {
+      await new Promise((resolve) => setImmediate(resolve))
+    }
+  }
+  await Promise.all(writes)
+  await logger.flush()
+
+  assert.deepEqual(errors, [])
+  assert.equal(maxRunning, 1)
+
+  const lines = await readLogs(logger)
+  assert.deepEqual(lines.map((l) => l.fields.index), indexesUpTo(300, 299))
+  assert.notOk(fs.existsSync(fsLogger.logFileLocation + '.lock'))
+
+  await unwrap(logger.destroy())
+  assert.end()
+})
+
+test('shared loggers in many processes', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+
+  const codes = await Promise.all([
+    runSharedWriter(fileName, 100, 100),
+    runSharedWriter(fileName, 100, 100),
+    runSharedWriter(fileName, 100, 100)
+  ])
+  assert.deepEqual(codes, [0, 0, 0])
+
+  const lines = readLines(fileName)
+  assert.ok(lines.length >= 50 && lines.length < 100)
+  assert.notOk(fs.existsSync(fileName + '.lock'))
+
+  /** @type {Map<number, number[]>} */
+  const byPid = new Map()
+  for (const line of lines) {
+    const indexes = byPid.get(line.pid) || []
+    indexes.push(line.fields.index)
+    byPid.set(line.pid, indexes)
+  }
+
+  for (const indexes of byPid.values()) {
+    assert.deepEqual(indexes, indexesUpTo(indexes.length, 99))
+  }
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+/** @param {AppendOnlyFSLogger} logger */
+async function readLogs (logger) {
+  const lines = await readRawLines(logger)
+  return lines.map((s) => {
+    return JSON.parse(s.trim())
+  })
+}
+
+/**
+ * Like readLogs() for loglines in any format.
+ *
+ * @param {AppendOnlyFSLogger} logger
+ */
+async function readRawLines (logger) {
+  await sleep(25)
+  const { err, data: buf } =
+    await readFile(logger.fsLogger.logFileLocation)
+  if (err) {
+    throw err
+  }
+
+  /** @type {string} */
+  const str = buf.toString('utf8')
+  const lines = str.split('\n').filter(Boolean)
+
+  const fsLogger = logger.fsLogger
+
+  if (lines.length !== fsLogger.lines) {
+    throw new Error('logger.lines invalid')
+  }
+  if (Buffer.byteLength(str) !== fsLogger.size) {
+    throw new Error('logger.size invalid')
+  }
+  if (fsLogger.newLineOffsets.length !== fsLogger.lines) {
+    throw new Error('logger.newLineOffsets invalid')
+  }
+
+  const newLineByte = '\n'.charCodeAt(0)
+  for (const offset of fsLogger.newLineOffsets) {
+    if (buf[offset] !== newLineByte) {
+      throw new Error('logger.newLineOffsets invalid')
+    }
+  }
+
+  return lines
+}
+
+/**
+ * @param {string} fileName
+ * @param {string} mode
+ * @returns {Promise<{ code: number, stderr: string }>}
+ */
+function runExitFixture (fileName, mode) {
+  const fixture = path.join(__dirname, 'fixtures', 'exit-handler.js')
+
+  return new Promise((resolve) => {
+    childProcess.execFile(
+      process.execPath, [fixture, fileName, mode], (err, _, stderr) => {
+        const code = err ? Number(Reflect.get(err, 'code')) : 0
+        resolve({ code, stderr })
+      }
+    )
+  })
+}
+
+/**
+ * @param {string} fileName
+ * @param {number} count
+ * @param {number} maxLines
+ * @returns {Promise<number>}
+ */
+function runSharedWriter (fileName, count, maxLines) {
+  const fixture = path.join(__dirname, 'fixtures', 'shared-writer.js')
+
+  return new Promise((resolve) => {
+    childProcess.execFile(process.execPath, [
+      fixture, fileName, String(count), String(maxLines)
+    ], (err) => {
+      resolve(err ? Number(Reflect.get(err, 'code')) : 0)
+    })
+  })
+}
+
+/**
+ * Returns the last `count` indexes ending at `last`.
+ *
+ * @param {number} count
+ * @param {number} last
+ */
+function indexesUpTo (count, last) {
+  /** @type {number[]} */
+  const indexes = []
+  for (let i = last - count + 1; i <= last; i++) {
+    indexes.push(i)
+  }
+  return indexes
 }
 
 /**
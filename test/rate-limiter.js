@@ -0,0 +1,135 @@
+// @ts-check
+'use strict'
+
+const fs = require('fs')
+
+const test = require('@pre-bundled/tape')
+
+const RateLimiter = require('../rate-limiter.js')
+const { makeLogger, sleep, readLines } = require('./helpers.js')
+
+test('rate limit suppresses a hot msg per second', async (assert) => {
+  const logger = await makeLogger({
+    rateLimit: { maxPerSecond: 3 }
+  })
+
+  for (let i = 0; i < 10; i++) {
+    logger.info('hot loop', { index: i })
+  }
+  await logger.info('other msg', {})
+
+  const lines = readLines(logger.fsLogger.logFileLocation)
+  assert.deepEqual(lines.map((l) => l.msg), [
+    'hot loop', 'hot loop', 'hot loop', 'other msg'
+  ])
+  assert.deepEqual(lines.slice(0, 3).map((l) => l.fields.index), [0, 1, 2])
+
+  await logger.close()
+
+  const summary = readLines(logger.fsLogger.logFileLocation)[4]
+  assert.equal(summary.level, 'warn')
+  assert.equal(summary.msg, 'suppressed log lines')
+  assert.deepEqual(summary.fields, {
+    suppressedMsg: 'hot loop', level: 'info', count: 7
+  })
+
+  fs.unlinkSync(logger.fsLogger.logFileLocation)
+  assert.end()
+})
+
+test('suppressed lines are summarized periodically', async (assert) => {
+  const logger = await makeLogger({
+    rateLimit: { maxPerSecond: 1, summaryInterval: 20 }
+  })
+
+  logger.info('hot loop', {})
+  logger.info('hot loop', {})
+  logger.error('hot loop', {})
+  logger.warn('also hot', {})
+  logger.warn('also hot', {})
+
+  await sleep(50)
+  await logger.flush()
+
+  const lines = readLines(logger.fsLogger.logFileLocation)
+  assert.equal(lines.length, 4)
+  assert.deepEqual(lines.slice(2).map((l) => l.fields), [
+    { suppressedMsg: 'hot loop', level: 'error', count: 2 },
+    { suppressedMsg: 'also hot', level: 'warn', count: 1 }
+  ])
+
+  /** Nothing left to summarize on close. */
+  await logger.close()
+  assert.equal(readLines(logger.fsLogger.logFileLocation).length, 4)
+
+  fs.unlinkSync(logger.fsLogger.logFileLocation)
+  assert.end()
+})
+
+test('sample rates per level', async (assert) => {
+  const logger = await makeLogger({
+    level: 'debug',
+    rateLimit: { sampleRates: { debug: 0, info: 1 } }
+  })
+
+  for (let i = 0; i < 5; i++) {
+    logger.debug('sampled out', {})
+    logger.info('always kept', {})
+  }
+  await logger.flush()
+
+  const lines = readLines(logger.fsLogger.logFileLocation)
+  assert.equal(lines.length, 5)
+  assert.ok(lines.every((l) => l.msg === 'always kept'))
+
+  await logger.close()
+  const summary = readLines(logger.fsLogger.logFileLocation)[5]
+  assert.deepEqual(summary.fields, {
+    suppressedMsg: 'sampled out', level: 'debug', count: 5
+  })
+
+  fs.unlinkSync(logger.fsLogger.logFileLocation)
+  assert.end()
+})
+
+test('rate limiter window resets after a second', async (assert) => {
+  /** @type {import('../rate-limiter.js').Suppressed[][]} */
+  const summaries = []
+  const limiter = new RateLimiter({ maxPerSecond: 2 }, (suppressed) => {
+    summaries.push(suppressed)
+  })
+
+  assert.equal(limiter.allow('info', 'a', 0), true)
+  assert.equal(limiter.allow('info', 'a', 10), true)
+  assert.equal(limiter.allow('info', 'a', 20), false)
+  assert.equal(limiter.allow('info', 'b', 20), true)
+  assert.equal(limiter.allow('info', 'a', 1000), true)
+
+  limiter.flushSummary()
+  assert.deepEqual(summaries, [[{ msg: 'a', level: 'info', count: 1 }]])
+
+  limiter.flushSummary()
+  assert.equal(summaries.length, 1)
+  assert.end()
+})
+
+test('rate limit options are validated', (assert) => {
+  const noop = () => {}
+
+  assert.throws(() => {
+    return new RateLimiter({ maxPerSecond: 0 }, noop)
+  }, /maxPerSecond must be a positive integer/)
+  assert.throws(() => {
+    return new RateLimiter({ summaryInterval: 1.5 }, noop)
+  }, /summaryInterval must be a positive integer/)
+  assert.throws(() => {
+    return new RateLimiter({
+      sampleRates: /** @type {any} */ ({ verbose: 0.5 })
+    }, noop)
+  }, /sampleRates keys must be one of/)
+  assert.throws(() => {
+    return new RateLimiter({ sampleRates: { info: 2 } }, noop)
+  }, /sampleRates must be numbers between 0 and 1/)
+
+  assert.end()
+})
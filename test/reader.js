@@ -0,0 +1,219 @@
+// @ts-check
+'use strict'
+
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+
+const test = require('@pre-bundled/tape')
+const uuid = require('uuid').v4
+
+const MainLogger = require('../index.js')
+const LogReader = MainLogger.LogReader
+const { PRODUCT_NAME, makeLogger } = require('./helpers.js')
+
+test('reading loglines written by the logger', async (assert) => {
+  const logger = await makeLogger()
+
+  logger.info('first', { index: 0 })
+  logger.warn('second', { index: 1 })
+  await logger.error('third', { index: 2 })
+
+  const reader = new LogReader(logger.fsLogger.logFileLocation)
+  const { err, data: records } = await reader.read()
+  assert.ifError(err)
+
+  assert.ok(records)
+  if (!records) return assert.end()
+  assert.equal(records.length, 3)
+  assert.deepEqual(records.map((r) => r.msg), ['first', 'second', 'third'])
+  assert.equal(records[1].level, 'warn')
+  assert.equal(records[2].fields.index, 2)
+  assert.equal(records[0].name, PRODUCT_NAME)
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('skips partial and invalid lines', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+  fs.writeFileSync(fileName, [
+    JSON.stringify({ level: 'info', msg: 'valid one', fields: {} }),
+    '{"level":"info","msg":"partial wr',
+    '',
+    '"a string"',
+    JSON.stringify({ level: 'info', msg: 'valid two', fields: {} }),
+    '{"level":"info","msg":"no trailing new line"}'
+  ].join('\n'))
+
+  const reader = new LogReader(fileName)
+  const { err, data: records } = await reader.read()
+  assert.ifError(err)
+
+  assert.deepEqual((records || []).map((r) => r.msg), [
+    'valid one', 'valid two', 'no trailing new line'
+  ])
+  assert.equal(reader.invalidLines, 2)
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('filtering records', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+  fs.writeFileSync(fileName, [
+    record('info', 'sync started', '2021-01-01T10:00:00.000Z', {
+      account: { id: 'a1' }
+    }),
+    record('warn', 'sync failed', '2021-01-01T11:00:00.000Z', {
+      account: { id: 'a1' }, code: 'ETIMEDOUT'
+    }),
+    record('error', 'sync failed', '2021-01-01T12:00:00.000Z', {
+      account: { id: 'a2' }, code: 'ECONNRESET'
+    }),
+    record('debug', 'window opened', '2021-01-01T13:00:00.000Z', {})
+  ].join('\n') + '\n')
+
+  const reader = new LogReader(fileName)
+
+  /** @param {import('../reader.js').LogFilter} filter */
+  async function msgs (filter) {
+    const { err, data } = await reader.read(filter)
+    assert.ifError(err)
+    return (data || []).map((r) => r.msg + '@' + String(r.time).slice(11, 13))
+  }
+
+  assert.deepEqual(await msgs({ level: 'warn' }), [
+    'sync failed@11', 'sync failed@12'
+  ])
+  assert.deepEqual(await msgs({
+    since: '2021-01-01T11:00:00.000Z',
+    until: Date.parse('2021-01-01T12:00:00.000Z')
+  }), [
+    'sync failed@11', 'sync failed@12'
+  ])
+  assert.deepEqual(await msgs({
+    since: new Date('2021-01-01T12:30:00.000Z')
+  }), ['window opened@13'])
+  assert.deepEqual(await msgs({ msg: 'sync started' }), [
+    'sync started@10'
+  ])
+  assert.deepEqual(await msgs({ msg: /^sync/ }), [
+    'sync started@10', 'sync failed@11', 'sync failed@12'
+  ])
+  assert.deepEqual(await msgs({ fields: { 'account.id': 'a1' } }), [
+    'sync started@10', 'sync failed@11'
+  ])
+  assert.deepEqual(await msgs({
+    msg: 'sync failed', fields: { code: /^ECONN/ }
+  }), ['sync failed@12'])
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+test('reading rotated files', async (assert) => {
+  const logger = await makeLogger({
+    retention: 'rotate',
+    maxLines: 10,
+    maxFiles: 3
+  })
+  const fileName = logger.fsLogger.logFileLocation
+
+  for (let i = 0; i < 35; i++) {
+    await logger.info('normal msg', { index: i })
+  }
+
+  const reader = new LogReader(fileName)
+  const { err: listErr, data: files } = await reader.listFiles()
+  assert.ifError(listErr)
+  assert.deepEqual(files, [
+    MainLogger.rotatedFileName(fileName, 3),
+    MainLogger.rotatedFileName(fileName, 2),
+    MainLogger.rotatedFileName(fileName, 1),
+    fileName
+  ])
+
+  const { err, data: records } = await reader.read()
+  assert.ifError(err)
+  const indexes = (records || []).map((r) => r.fields.index)
+  assert.equal(indexes.length, 35)
+  assert.equal(indexes[0], 0)
+  assert.equal(indexes[34], 34)
+
+  const current = new LogReader(fileName, { rotated: false })
+  const { err: err2, data: records2 } = await current.read()
+  assert.ifError(err2)
+  assert.equal((records2 || []).length, 5)
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('reading a missing file', async (assert) => {
+  const fileName = path.join(os.tmpdir(), uuid(), `${uuid()}.json`)
+
+  const reader = new LogReader(fileName)
+  const { err, data: records } = await reader.read()
+  assert.ifError(err)
+  assert.deepEqual(records, [])
+
+  const reader2 = new LogReader(fileName, { rotated: false })
+  const { err: err2, data: records2 } = await reader2.read()
+  assert.ifError(err2)
+  assert.deepEqual(records2, [])
+
+  assert.end()
+})
+
+test('stopping a stream early', async (assert) => {
+  const logger = await makeLogger()
+
+  for (let i = 0; i < 10; i++) {
+    logger.info('normal msg', { index: i })
+  }
+  await logger.fsLogger.flush()
+
+  const reader = new LogReader(logger.fsLogger.logFileLocation)
+
+  /** @type {number[]} */
+  const indexes = []
+  for await (const record of reader.stream({ msg: 'normal msg' })) {
+    indexes.push(/** @type {number} */ (record.fields.index))
+    if (indexes.length === 3) break
+  }
+  assert.deepEqual(indexes, [0, 1, 2])
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('readLines() across chunk boundaries', async (assert) => {
+  const fileName = path.join(os.tmpdir(), `${uuid()}.json`)
+  const text = 'first line\nsecond ✓ line\n\nthird line without end'
+  fs.writeFileSync(fileName, text)
+
+  const readStream = fs.createReadStream(fileName, { highWaterMark: 3 })
+
+  /** @type {string[]} */
+  const lines = []
+  for await (const line of LogReader.readLines(readStream)) {
+    lines.push(line)
+  }
+  assert.deepEqual(lines, text.split('\n'))
+
+  fs.unlinkSync(fileName)
+  assert.end()
+})
+
+/**
+ * @param {string} level
+ * @param {string} msg
+ * @param {string} time
+ * @param {object} fields
+ */
+function record (level, msg, time, fields) {
+  return JSON.stringify({
+    name: PRODUCT_NAME, level, msg, time, v: 1, fields
+  })
+}
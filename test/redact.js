@@ -0,0 +1,87 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const Redactor = require('../redact.js')
+
+test('redacting key paths', (assert) => {
+  const redactor = new Redactor({
+    paths: ['token', 'headers.authorization', '*.password', 'items.*.id']
+  })
+
+  const info = {
+    token: 'secret',
+    headers: { authorization: 'Bearer abc', accept: 'json' },
+    user: { name: 'bob', password: 'hunter2' },
+    admin: { password: 'hunter3' },
+    items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }],
+    nested: { token: 'not top level' }
+  }
+
+  assert.deepEqual(redactor.redact(info), {
+    token: '[REDACTED]',
+    headers: { authorization: '[REDACTED]', accept: 'json' },
+    user: { name: 'bob', password: '[REDACTED]' },
+    admin: { password: '[REDACTED]' },
+    items: [{ id: '[REDACTED]', name: 'a' }, { id: '[REDACTED]', name: 'b' }],
+    nested: { token: 'not top level' }
+  })
+
+  /** The original object is left alone. */
+  assert.equal(info.token, 'secret')
+  assert.equal(info.user.password, 'hunter2')
+
+  assert.end()
+})
+
+test('redacting values by pattern', (assert) => {
+  const redactor = new Redactor({
+    patterns: [/[\w.]+@[\w.]+/, /\/Users\/[^/]+/i],
+    placeholder: '***'
+  })
+
+  assert.deepEqual(redactor.redact({
+    msg: 'mail bob@example.com and alice@example.com',
+    file: '/Users/bob/Documents/report.pdf',
+    list: ['carol@example.com', 42, null],
+    count: 3
+  }), {
+    msg: 'mail *** and ***',
+    file: '***/Documents/report.pdf',
+    list: ['***', 42, null],
+    count: 3
+  })
+
+  assert.end()
+})
+
+test('redacting leaves cycles and class instances alone', (assert) => {
+  const redactor = new Redactor({ paths: ['a.secret'] })
+
+  /** @type {Record<string, unknown>} */
+  const cyclic = { secret: 'x' }
+  cyclic.self = cyclic
+  const date = new Date(0)
+
+  const out = redactor.redact({ a: cyclic, date: date })
+  const a = /** @type {Record<string, unknown>} */ (out.a)
+  assert.equal(a.secret, '[REDACTED]')
+  assert.equal(a.self, cyclic)
+  assert.equal(out.date, date)
+
+  assert.end()
+})
+
+test('invalid redact options', (assert) => {
+  assert.throws(() => {
+    // @ts-expect-error
+    return new Redactor({ paths: 'token' })
+  }, /options.redact.paths must be an array of strings/)
+  assert.throws(() => {
+    // @ts-expect-error
+    return new Redactor({ patterns: ['token'] })
+  }, /options.redact.patterns must be an array of RegExp/)
+
+  assert.end()
+})
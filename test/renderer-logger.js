@@ -0,0 +1,166 @@
+// @ts-check
+'use strict'
+
+const path = require('path')
+const fs = require('fs')
+const { EventEmitter } = require('events')
+
+const test = require('@pre-bundled/tape')
+
+const MainLogger = require('../index.js')
+const { wrapf } = require('../error.js')
+const RendererLogger = MainLogger.RendererLogger
+const { makeLogger, sleep, readLines } = require('./helpers.js')
+
+test('renderer loglines reach the main log file', async (assert) => {
+  const logger = await makeLogger()
+  const ipcMain = new EventEmitter()
+  const unregister = logger.registerIPCHandler(ipcMain)
+
+  const renderer = new RendererLogger({
+    send: (payload) => {
+      /** IPC clones the payload, so do the same here. */
+      ipcMain.emit(
+        MainLogger.IPC_CHANNEL, {}, JSON.parse(JSON.stringify(payload))
+      )
+    }
+  })
+
+  const cause = new Error('socket hang up')
+  renderer.info('window loaded', { route: '/inbox' })
+  renderer.debug('filtered out')
+  renderer.error('request failed', {
+    err: wrapf('fetch failed', cause, { url: '/api' })
+  })
+  renderer.flush()
+  await logger.fsLogger.flush()
+
+  const lines = readLines(logger.fsLogger.logFileLocation)
+  assert.equal(lines.length, 2)
+  assert.equal(lines[0].msg, 'window loaded')
+  assert.deepEqual(lines[0].fields, { route: '/inbox' })
+  assert.equal(lines[1].level, 'error')
+  assert.equal(lines[1].fields.err.message, 'fetch failed: socket hang up')
+  assert.equal(lines[1].fields.err.cause.message, 'socket hang up')
+  assert.deepEqual(lines[1].fields.err.info, { url: '/api' })
+
+  unregister()
+  assert.equal(ipcMain.listenerCount(MainLogger.IPC_CHANNEL), 0)
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('renderer logger batches loglines', async (assert) => {
+  /** @type {import('../renderer-logger.js').IPCPayload[]} */
+  const payloads = []
+  const renderer = new RendererLogger({
+    send: (payload) => { payloads.push(payload) },
+    level: 'debug',
+    flushInterval: 10,
+    maxBatchSize: 3
+  })
+
+  renderer.debug('one')
+  renderer.info('two')
+  assert.equal(payloads.length, 0)
+
+  renderer.warn('three')
+  assert.equal(payloads.length, 1)
+  assert.deepEqual(payloads[0].lines.map((l) => l.msg), [
+    'one', 'two', 'three'
+  ])
+
+  renderer.trace('filtered out')
+  renderer.info('four', { index: 4 })
+  await sleep(30)
+  assert.equal(payloads.length, 2)
+  assert.deepEqual(payloads[1].lines, [{
+    level: 'info',
+    msg: 'four',
+    info: { index: 4 },
+    timestamp: payloads[1].lines[0].timestamp
+  }])
+
+  assert.throws(() => {
+    renderer.info('')
+  }, /info\(msg\); msg is mandatory/)
+
+  assert.end()
+})
+
+test('renderer logger only requires its own modules', (assert) => {
+  /** @type {string[]} */
+  const seen = []
+  /** @param {string} fileName */
+  const visit = (fileName) => {
+    if (seen.includes(fileName)) return
+    seen.push(fileName)
+
+    const source = fs.readFileSync(fileName, 'utf8')
+    const requires = /require\('([^']+)'\)/g
+    let match
+    while ((match = requires.exec(source)) !== null) {
+      const name = match[1]
+      assert.ok(name.startsWith('./'),
+        `${path.basename(fileName)} requires ${name}`)
+      if (name.startsWith('./')) {
+        visit(path.join(path.dirname(fileName), name))
+      }
+    }
+  }
+  visit(path.join(__dirname, '..', 'renderer-logger.js'))
+
+  assert.throws(() => {
+    return new RendererLogger({
+      // @ts-expect-error
+      send: null
+    })
+  }, /options.send must be a function/)
+  assert.end()
+})
+
+test('renderer logger reports send errors', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const renderer = new RendererLogger({
+    send: () => { throw new Error('channel closed') },
+    onError: (err) => { errors.push(err) }
+  })
+
+  renderer.info('lost')
+  renderer.flush()
+
+  assert.equal(errors.length, 1)
+  assert.equal(errors[0].message, 'channel closed')
+  assert.end()
+})
+
+test('handleIPC() validates payloads', async (assert) => {
+  const logger = await makeLogger()
+
+  const { err } = logger.handleIPC('not a payload')
+  assert.ok(err)
+  assert.equal(err && err.message,
+    'handleIPC(payload); payload.lines must be array')
+
+  const { err: lineErr } = logger.handleIPC({
+    lines: [
+      { level: 'info', msg: 'valid', info: null, timestamp: Date.now() },
+      { level: 'verbose', msg: 'bad level', info: null, timestamp: 1 },
+      { level: 'info', msg: 'bad info', info: 'str', timestamp: 1 },
+      { level: 'info', msg: 'bad time', info: null, timestamp: 'now' },
+      null
+    ]
+  })
+  assert.ok(lineErr)
+  assert.equal(lineErr && lineErr.message,
+    'handleIPC(payload); skipped 4 invalid lines')
+
+  await logger.fsLogger.flush()
+  const lines = readLines(logger.fsLogger.logFileLocation)
+  assert.deepEqual(lines.map((l) => l.msg), ['valid'])
+
+  await logger.destroy()
+  assert.end()
+})
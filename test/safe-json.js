@@ -0,0 +1,99 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const SafeJSON = require('../safe-json.js')
+
+test('safe json marks only real cycles', (assert) => {
+  const safeJSON = new SafeJSON()
+
+  const shared = { id: 1 }
+  /** @type {Record<string, unknown>} */
+  const cyclic = { shared: shared, again: shared, list: [] }
+  Reflect.set(cyclic, 'list', [cyclic, { parent: cyclic }])
+
+  assert.deepEqual(safeJSON.sanitize(cyclic), {
+    shared: { id: 1 },
+    again: { id: 1 },
+    list: ['[Circular]', { parent: '[Circular]' }]
+  })
+  assert.end()
+})
+
+test('safe json leaves the input alone', (assert) => {
+  const safeJSON = new SafeJSON({ maxDepth: 1 })
+
+  const info = { nested: { deep: true }, list: [1] }
+  const copy = safeJSON.sanitize(info)
+
+  assert.deepEqual(copy, { nested: '[Object]', list: '[Array]' })
+  assert.deepEqual(info, { nested: { deep: true }, list: [1] })
+  assert.end()
+})
+
+test('safe json does not limit plain values by default', (assert) => {
+  const safeJSON = new SafeJSON()
+
+  /** @type {Record<string, unknown>} */
+  let deep = { ids: indexes(150) }
+  for (let i = 0; i < 20; i++) {
+    deep = { child: deep }
+  }
+
+  const copy = safeJSON.sanitize(deep)
+  assert.equal(JSON.stringify(copy), JSON.stringify(deep))
+  assert.end()
+})
+
+test('safe json survives values that throw', (assert) => {
+  const safeJSON = new SafeJSON()
+
+  const badToJSON = {
+    get toJSON () {
+      throw new Error('no toJSON')
+    }
+  }
+  const badKeys = new Proxy({}, {
+    ownKeys () {
+      throw new Error('no keys')
+    }
+  })
+  const badMap = new Map([['a', 1]])
+  badMap[Symbol.iterator] = () => {
+    throw new Error('no entries')
+  }
+
+  assert.deepEqual(safeJSON.sanitize({
+    badToJSON: badToJSON,
+    badKeys: badKeys,
+    badMap: badMap,
+    ok: 1
+  }), {
+    badToJSON: '[Threw: no toJSON]',
+    badKeys: '[Threw: no keys]',
+    badMap: '[Threw: no entries]',
+    ok: 1
+  })
+  assert.end()
+})
+
+test('safe json options are validated', (assert) => {
+  assert.throws(() => {
+    return new SafeJSON({ maxDepth: 0 })
+  }, /options.maxDepth must be a positive integer/)
+  assert.throws(() => {
+    return new SafeJSON({ maxArrayLength: 1.5 })
+  }, /options.maxArrayLength must be a positive integer/)
+  assert.end()
+})
+
+/** @param {number} count */
+function indexes (count) {
+  /** @type {number[]} */
+  const list = []
+  for (let i = 0; i < count; i++) {
+    list.push(i)
+  }
+  return list
+}
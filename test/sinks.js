@@ -0,0 +1,204 @@
+// @ts-check
+'use strict'
+
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+
+const test = require('@pre-bundled/tape')
+const uuid = require('uuid').v4
+
+const MainLogger = require('../index.js')
+const {
+  PRODUCT_NAME, makeLogger, sleep, readLines
+} = require('./helpers.js')
+
+test('custom sinks receive loglines by level', async (assert) => {
+  /** @type {{ level: string, msg: string, fields: object, prefix: string }[]} */
+  const written = []
+  const logger = await makeLogger({
+    prefix: 'app ',
+    redact: { paths: ['token'] },
+    sinks: [{
+      level: 'warn',
+      write: (logLine, context) => {
+        written.push({
+          level: logLine.level,
+          msg: logLine.msg,
+          fields: logLine.fields,
+          prefix: context.prefix
+        })
+      }
+    }]
+  })
+
+  logger.info('not for the sink', { token: 'secret' })
+  await logger.warn('for the sink', { token: 'secret', id: 1 })
+
+  assert.deepEqual(written, [{
+    level: 'warn',
+    msg: 'for the sink',
+    fields: { token: '[REDACTED]', id: 1 },
+    prefix: 'app '
+  }])
+  assert.equal(readLines(logger.fsLogger.logFileLocation).length, 2)
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('a second file with only errors', async (assert) => {
+  const errorLogger = new MainLogger.AppendOnlyFSLogger(PRODUCT_NAME, {
+    fileName: path.join(os.tmpdir(), `${uuid()}.json`)
+  })
+  const logger = await makeLogger({
+    sinks: [new MainLogger.FileSink(errorLogger, { level: 'error' })]
+  })
+  assert.ok(errorLogger.hasOpened)
+
+  logger.info('info msg', {})
+  logger.error('error msg', { index: 1 })
+  logger.warn('warn msg', {})
+  logger.fatal('fatal msg', {})
+  await logger.flush()
+
+  const errors = readLines(errorLogger.logFileLocation)
+  assert.deepEqual(errors.map((l) => l.msg), ['error msg', 'fatal msg'])
+  assert.deepEqual(errors[0].fields, { index: 1 })
+  assert.equal(readLines(logger.fsLogger.logFileLocation).length, 4)
+
+  const { err } = await logger.close()
+  assert.ifError(err)
+  assert.equal(errorLogger.fd, null)
+  assert.equal(logger.fsLogger.fd, null)
+
+  fs.unlinkSync(errorLogger.logFileLocation)
+  fs.unlinkSync(logger.fsLogger.logFileLocation)
+  assert.end()
+})
+
+test('adding and removing sinks', async (assert) => {
+  const logger = await makeLogger()
+
+  /** @type {string[]} */
+  const msgs = []
+  const removeSink = logger.addSink({
+    write: (logLine) => { msgs.push(logLine.msg) }
+  })
+
+  logger.info('one', {})
+  removeSink()
+  await logger.info('two', {})
+
+  assert.deepEqual(msgs, ['one'])
+  assert.throws(() => {
+    logger.addSink(/** @type {any} */ ({}))
+  }, /sink must have a write method/)
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('broken sinks do not break logging', async (assert) => {
+  /** @type {Error[]} */
+  const errors = []
+  const logger = await makeLogger({
+    onError: (err) => { errors.push(err) },
+    sinks: [{
+      write: () => { throw new Error('sink is broken') }
+    }, {
+      write: () => Promise.reject(new Error('sink rejected'))
+    }]
+  })
+
+  await logger.info('still written', {})
+  await sleep(5)
+
+  assert.equal(readLines(logger.fsLogger.logFileLocation).length, 1)
+  assert.deepEqual(errors.map((e) => e.message), [
+    'sink.write() threw an unexpected exception: sink is broken',
+    'sink.write() threw an unexpected exception: sink rejected'
+  ])
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('console sink with a level', async (assert) => {
+  /** @type {string[]} */
+  const lines = []
+  const consoleLog = console.log
+  const consoleError = console.error
+  console.log = (/** @type {string} */ line) => { lines.push(line) }
+  console.error = (/** @type {string} */ line) => { lines.push(line) }
+
+  const logger = await makeLogger({
+    sinks: [new MainLogger.ConsoleSink({ level: 'warn' })]
+  })
+  logger.info('quiet', {})
+  logger.warn('loud', { index: 1 })
+  await logger.error('louder', {})
+
+  console.log = consoleLog
+  console.error = consoleError
+
+  assert.equal(lines.length, 2)
+  assert.ok(lines[0].includes(' › loud: { index: \u001b[33m1\u001b[39m }'))
+  assert.ok(lines[1].includes(' › louder: {}'))
+
+  await logger.destroy()
+  assert.end()
+})
+
+test('ring buffer keeps the most recent loglines', async (assert) => {
+  const logger = await makeLogger({
+    ringBuffer: { maxLines: 5 }
+  })
+
+  for (let i = 0; i < 8; i++) {
+    const level = i % 3 === 0 ? 'warn' : 'info'
+    logger[level]('normal msg', { index: i })
+  }
+
+  assert.deepEqual(logger.getRecent().map((r) => r.fields.index), [
+    3, 4, 5, 6, 7
+  ])
+  assert.deepEqual(
+    logger.getRecent({ limit: 2 }).map((r) => r.fields.index), [6, 7]
+  )
+  assert.deepEqual(
+    logger.getRecent({ level: 'warn' }).map((r) => r.fields.index), [3, 6]
+  )
+
+  const dump = logger.dump()
+  assert.equal(dump.split('\n').length, 6)
+  assert.equal(JSON.parse(dump.split('\n')[0]).msg, 'normal msg')
+
+  await logger.flush()
+  await logger.destroy()
+  assert.end()
+})
+
+test('ring buffer is bounded by bytes', async (assert) => {
+  const ringBuffer = new MainLogger.RingBufferSink({ maxBytes: 1024 })
+  const logger = await makeLogger({ sinks: [ringBuffer] })
+
+  for (let i = 0; i < 20; i++) {
+    logger.info('normal msg', { index: i, str: 'A'.repeat(100) })
+  }
+  logger.info('too large', { str: 'A'.repeat(2048) })
+
+  const records = ringBuffer.getRecent()
+  assert.ok(records.length > 1 && records.length < 20)
+  assert.equal(records[records.length - 1].fields.index, 19)
+  assert.ok(ringBuffer.bytes <= 1024)
+  assert.equal(Buffer.byteLength(ringBuffer.dump()),
+    ringBuffer.bytes + records.length)
+
+  assert.deepEqual(logger.getRecent(), [])
+  assert.equal(logger.dump(), '')
+
+  await logger.flush()
+  await logger.destroy()
+  assert.end()
+})
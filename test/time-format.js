@@ -0,0 +1,78 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const { createTimeFormatter, timeToMs } = require('../time-format.js')
+
+const TIME = Date.UTC(2020, 0, 1, 0, 0, 0, 123)
+
+test('iso and epoch time formats', (assert) => {
+  assert.equal(createTimeFormatter()(TIME), '2020-01-01T00:00:00.123Z')
+  assert.equal(createTimeFormatter('iso')(TIME), '2020-01-01T00:00:00.123Z')
+  assert.equal(createTimeFormatter('epoch')(TIME), TIME)
+  assert.end()
+})
+
+test('iso-micro adds microseconds to recent timestamps', (assert) => {
+  const formatTime = createTimeFormatter('iso-micro')
+
+  /** @type {string[]} */
+  const times = []
+  for (let i = 0; i < 100; i++) {
+    const now = Date.now()
+    const time = String(formatTime(now))
+
+    /** Only a thousand lines in one ms would run into the next. */
+    assert.ok(timeToMs(time) === now || timeToMs(time) === now + 1)
+    times.push(time)
+  }
+  assert.deepEqual(times.slice().sort(), times)
+
+  /** Older timestamps, e.g. from a renderer, keep their precision. */
+  assert.equal(formatTime(TIME), '2020-01-01T00:00:00.123000Z')
+  assert.end()
+})
+
+test('iso-micro timestamps are strictly increasing', (assert) => {
+  const formatTime = createTimeFormatter('iso-micro')
+
+  /** Loglines share a millisecond, and some their timestamp. */
+  let last = ''
+  for (let i = 0; i < 100; i++) {
+    const now = Date.now()
+    const times = [formatTime(now), formatTime(now), formatTime(Date.now())]
+
+    for (const time of times.map(String)) {
+      assert.ok(time > last, `${time} follows ${last}`)
+      last = time
+    }
+  }
+
+  assert.equal(formatTime(TIME), '2020-01-01T00:00:00.123000Z')
+  assert.equal(formatTime(TIME), '2020-01-01T00:00:00.123001Z')
+  assert.end()
+})
+
+test('iso-micro runs into the next millisecond', (assert) => {
+  const formatTime = createTimeFormatter('iso-micro')
+
+  let last = ''
+  for (let i = 0; i < 1500; i++) {
+    const time = String(formatTime(TIME))
+    if (time <= last) {
+      assert.fail(`${time} follows ${last}`)
+    }
+    last = time
+  }
+  assert.equal(last, '2020-01-01T00:00:00.124499Z')
+  assert.end()
+})
+
+test('timeToMs() reads every time format', (assert) => {
+  assert.equal(timeToMs(TIME), TIME)
+  assert.equal(timeToMs('2020-01-01T00:00:00.123Z'), TIME)
+  assert.equal(timeToMs('2020-01-01T00:00:00.123456Z'), TIME)
+  assert.ok(isNaN(timeToMs(undefined)))
+  assert.end()
+})
@@ -0,0 +1,58 @@
+// @ts-check
+'use strict'
+
+const test = require('@pre-bundled/tape')
+
+const { shrinkFields } = require('../truncate-fields.js')
+
+test('shrinkFields() shrinks the largest value first', (assert) => {
+  const fields = {
+    a: 'A'.repeat(100),
+    b: 'B'.repeat(1000),
+    c: 42
+  }
+  const before = JSON.stringify(fields).length
+
+  const r = shrinkFields(fields, 500)
+  assert.ok(r)
+  if (!r) return assert.end()
+
+  assert.deepEqual(r.paths, ['b'])
+  assert.equal(r.fields.a, fields.a)
+  assert.equal(r.fields.c, 42)
+  assert.ok(String(r.fields.b).endsWith('B...'))
+
+  const saved = before - JSON.stringify(r.fields).length
+  assert.ok(saved >= 500 + JSON.stringify('b').length + 1)
+
+  assert.equal(fields.b.length, 1000, 'does not mutate fields')
+  assert.end()
+})
+
+test('shrinkFields() moves on to the next largest value', (assert) => {
+  const fields = {
+    list: new Array(50).fill('xxxxxxxxxx'),
+    deep: { str: 'S'.repeat(400) }
+  }
+
+  const r = shrinkFields(fields, 700)
+  assert.ok(r)
+  if (!r) return assert.end()
+
+  assert.deepEqual(r.paths, ['list', 'deep.str'])
+  const list = /** @type {string[]} */ (r.fields.list)
+  assert.equal(list[list.length - 1], `[${50 - list.length + 1} more items]`)
+  const deep = /** @type {Record<string, unknown>} */ (r.fields.deep)
+  assert.ok(String(deep.str).endsWith('S...'))
+  assert.end()
+})
+
+test('shrinkFields() returns null if there is not enough', (assert) => {
+  const fields = {
+    a: 'A'.repeat(60),
+    b: 'B'.repeat(200)
+  }
+
+  assert.equal(shrinkFields(fields, 1000), null)
+  assert.end()
+})
@@ -0,0 +1,131 @@
+// @ts-check
+'use strict'
+
+const assert = require('assert')
+
+/**
+ * @typedef {'iso' | 'epoch' | 'iso-micro'} TimeFormat
+ * @typedef {(time: number) => string | number} TimeFormatter
+ */
+
+/**
+ * Returns the function that turns the millisecond timestamp of a
+ * logline into its `time`:
+ *
+ *  - 'iso' : `2020-01-01T00:00:00.123Z`
+ *  - 'epoch' : `1577836800123`
+ *  - 'iso-micro' : `2020-01-01T00:00:00.123456Z`
+ *
+ * @param {TimeFormat} [timeFormat]
+ * @returns {TimeFormatter}
+ */
+function createTimeFormatter (timeFormat) {
+  switch (timeFormat || 'iso') {
+    case 'iso':
+      return formatISO
+    case 'epoch':
+      return formatEpoch
+    case 'iso-micro': {
+      const clock = new MicroClock()
+      return (time) => formatISOMicro(clock.micros(time))
+    }
+    default:
+      assert(false,
+        'options.timeFormat must be "iso", "epoch" or "iso-micro"')
+      return formatISO
+  }
+}
+exports.createTimeFormatter = createTimeFormatter
+
+/**
+ * The `time` of a logline in milliseconds, whatever its format.
+ *
+ * @param {unknown} time
+ */
+function timeToMs (time) {
+  if (typeof time === 'number') return time
+  if (typeof time === 'string') return Date.parse(time)
+  return NaN
+}
+exports.timeToMs = timeToMs
+
+/**
+ * Adds the microseconds of process.hrtime() to timestamps taken
+ * just now with Date.now(), so that loglines written within the
+ * same millisecond still sort in order.
+ *
+ * The high resolution clock is anchored at the wall clock once;
+ * whenever it reads outside the millisecond of Date.now(), e.g.
+ * because the system clock changed, the anchor moves by the
+ * measured offset.
+ */
+class MicroClock {
+  constructor () {
+    this.origin = Date.now() * 1000
+    this.originHr = process.hrtime()
+    /** The last value returned and the ms timestamp it was for. */
+    this.last = 0
+    this.lastStart = 0
+  }
+
+  _now () {
+    const [seconds, nanos] = process.hrtime(this.originHr)
+    const micros = this.origin + seconds * 1e6 + Math.floor(nanos / 1000)
+
+    const wallClock = Date.now() * 1000
+    if (micros < wallClock || micros > wallClock + 999) {
+      this.origin += wallClock - micros
+      return wallClock
+    }
+    return micros
+  }
+
+  /**
+   * @param {number} time
+   */
+  micros (time) {
+    let micros = this._now()
+
+    /**
+     * Timestamps taken elsewhere, e.g. in a renderer process, only
+     * have millisecond precision.
+     */
+    const start = time * 1000
+    if (micros < start || micros > start + 999) {
+      micros = start
+    }
+
+    /**
+     * Never go backwards for a timestamp that is not older than the
+     * last one, if need be running into the next millisecond.
+     */
+    if (micros <= this.last && start >= this.lastStart) {
+      micros = this.last + 1
+    }
+    this.last = micros
+    this.lastStart = start
+    return micros
+  }
+}
+
+/**
+ * @param {number} time
+ */
+function formatISO (time) {
+  return new Date(time).toISOString()
+}
+
+/**
+ * @param {number} time
+ */
+function formatEpoch (time) {
+  return time
+}
+
+/**
+ * @param {number} micros
+ */
+function formatISOMicro (micros) {
+  const iso = new Date(Math.floor(micros / 1000)).toISOString()
+  return iso.slice(0, -1) + String(micros % 1000).padStart(3, '0') + 'Z'
+}
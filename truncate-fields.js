@@ -0,0 +1,146 @@
+// @ts-check
+'use strict'
+
+// Values smaller than this, in serialized chars, are never shrunk.
+const MIN_SHRINK_SIZE = 64
+const STRING_MARKER = '...'
+
+/**
+ * @typedef {{
+ *    parent: Record<string, unknown> | unknown[],
+ *    key: string | number,
+ *    path: string,
+ *    size: number
+ * }} Candidate
+ */
+
+/**
+ * Shrinks the largest strings and arrays in `fields` until their
+ * serialized size went down by at least `excess` chars, instead of
+ * giving up on all of them. Strings get cut off with '...' and
+ * arrays lose their last items to a "[N more items]" marker.
+ *
+ * Returns a shrunk copy together with the paths of the values
+ * that were shrunk, like `['body', 'items.3.name']`, or null if
+ * there is not enough to shrink. Every path also counts towards
+ * `excess`, because it is written into the logline too.
+ *
+ * The fields must be serializable, see SafeJSON.
+ *
+ * @param {Record<string, unknown>} fields
+ * @param {number} excess
+ * @returns {{ fields: Record<string, unknown>, paths: string[] } | null}
+ */
+function shrinkFields (fields, excess) {
+  const copy = JSON.parse(JSON.stringify(fields))
+
+  /** @type {string[]} */
+  const paths = []
+  // Every value is shrunk at most once, as far as needed.
+  const tried = new Set()
+
+  while (excess > 0) {
+    /** Shrinking an array may have removed candidates, look again. */
+    /** @type {Candidate[]} */
+    const candidates = []
+    collectCandidates(copy, '', candidates)
+
+    let candidate = null
+    for (const c of candidates) {
+      if (tried.has(c.path)) continue
+      if (!candidate || c.size > candidate.size) candidate = c
+    }
+    if (!candidate) {
+      return null
+    }
+    tried.add(candidate.path)
+
+    const { parent, key, path } = candidate
+    const pathCost = JSON.stringify(path).length + 1
+    const value = Reflect.get(parent, key)
+    const shrunk = typeof value === 'string'
+      ? shrinkString(value, excess + pathCost)
+      : shrinkArray(/** @type {unknown[]} */ (value), excess + pathCost)
+
+    const saved = candidate.size - JSON.stringify(shrunk).length
+    if (saved > pathCost) {
+      Reflect.set(parent, key, shrunk)
+      paths.push(path)
+      excess -= saved - pathCost
+    }
+  }
+
+  return { fields: copy, paths: paths }
+}
+exports.shrinkFields = shrinkFields
+
+/**
+ * @param {unknown} value
+ * @param {string} path
+ * @param {Candidate[]} candidates
+ */
+function collectCandidates (value, path, candidates) {
+  if (typeof value !== 'object' || value === null) {
+    return
+  }
+
+  const isArray = Array.isArray(value)
+  const keys = isArray
+    ? Object.keys(value).map(Number)
+    : Object.keys(value)
+
+  for (const key of keys) {
+    const child = Reflect.get(value, key)
+    const childPath = path ? path + '.' + key : String(key)
+
+    if (typeof child === 'string' || Array.isArray(child)) {
+      const size = JSON.stringify(child).length
+      if (size >= MIN_SHRINK_SIZE) {
+        candidates.push({
+          parent: /** @type {Record<string, unknown> | unknown[]} */ (value),
+          key: key,
+          path: childPath,
+          size: size
+        })
+      }
+    }
+
+    collectCandidates(child, childPath, candidates)
+  }
+}
+
+/**
+ * @param {string} str
+ * @param {number} excess
+ */
+function shrinkString (str, excess) {
+  const keep = Math.max(0, str.length - excess - STRING_MARKER.length)
+  return str.slice(0, keep) + STRING_MARKER
+}
+
+/**
+ * @param {unknown[]} arr
+ * @param {number} excess
+ */
+function shrinkArray (arr, excess) {
+  let keep = arr.length
+  let saved = 0
+  while (keep > 0) {
+    const marker = JSON.stringify(moreItems(arr.length - keep)).length + 1
+    if (keep < arr.length && saved - marker >= excess) break
+
+    keep--
+    saved += JSON.stringify(arr[keep]).length + 1
+  }
+
+  const shrunk = arr.slice(0, keep)
+  shrunk.push(moreItems(arr.length - keep))
+  return shrunk
+}
+
+/**
+ * @param {number} count
+ */
+function moreItems (count) {
+  return `[${count} more items]`
+}